@@ -0,0 +1,375 @@
+/**
+ * Synthetic Resource Generator
+ * Serves deterministic payloads of any size, type, compressibility and delay for the test servers to proxy
+ *
+ *   GET /gen?size=250k&type=js&delay=50&compress=0.5&seed=7
+ *     size     - payload size in bytes, with optional k/m suffix (default 1k, max 50m)
+ *     type     - js, css, json, html, svg, txt or bin (default txt)
+ *     delay    - milliseconds to wait before responding (default 0, max 30000)
+ *     compress - 0 (incompressible) to 1 (highly compressible) (default 0.5)
+ *     seed     - PRNG seed; the same parameters always produce the same bytes
+ *     Other parameters (e.g. copy=3) are ignored, so they can make repeated requests unique
+ *
+ *   GET /gen/page?count=20&size=10k&type=js&delay=0&compress=0.5&order=parallel
+ *     A test page that loads `count` generated resources and reports through test-messaging.js
+ *
+ *   GET /gen/net/150/5000/test-basic.html
+ *     A file from the web root, answered after 150ms and sent at 5000 kbit/s (0 = unlimited); relative
+ *     URLs in the page resolve under the same prefix, so all of its resources are throttled alike
+ *
+ *   GET /gen/health
+ */
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+
+const PORT = parseInt(process.env.PORT || '8080', 10);
+const MAX_SIZE = 50 * 1024 * 1024;
+const MAX_DELAY = 30000;
+const MAX_COUNT = 500;
+const CHUNK_SIZE = 64 * 1024;
+const MAX_RATE = 10 * 1000 * 1000;
+// Throttled responses are written in slices of this many milliseconds of bandwidth
+const RATE_SLICE_MS = 50;
+const WEB_ROOT = path.resolve(process.env.WEB_ROOT || path.join(__dirname, '..', 'web'));
+
+const FILE_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.css': 'text/css',
+    '.js': 'application/javascript',
+    '.json': 'application/json',
+    '.svg': 'image/svg+xml',
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.gif': 'image/gif',
+    '.webp': 'image/webp',
+    '.woff2': 'font/woff2',
+    '.txt': 'text/plain; charset=utf-8'
+};
+
+const TYPES = {
+    js: { contentType: 'application/javascript', header: (size) => `/* generated ${size} bytes */\nvar generatedPayload = "`, footer: '";\n' },
+    css: { contentType: 'text/css', header: (size) => `/* generated ${size} bytes */\n.generated-payload::after { content: "`, footer: '"; }\n' },
+    json: { contentType: 'application/json', header: (size) => `{"generated":${size},"data":"`, footer: '"}' },
+    html: { contentType: 'text/html; charset=utf-8', header: (size) => `<!DOCTYPE html><html><head><title>Generated ${size} bytes</title></head><body><!--`, footer: '--></body></html>' },
+    svg: { contentType: 'image/svg+xml', header: () => '<svg xmlns="http://www.w3.org/2000/svg" width="10" height="10"><rect width="10" height="10" fill="#28a745"/><!--', footer: '--></svg>' },
+    txt: { contentType: 'text/plain; charset=utf-8', header: () => '', footer: '' },
+    bin: { contentType: 'application/octet-stream', header: () => '', footer: '', binary: true }
+};
+
+// Characters that are safe inside every text wrapper above (no quotes, dashes or angle brackets)
+const ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789 ';
+const PHRASE = 'HTTP2 versus HTTP3 synthetic payload ';
+
+class ParameterError extends Error {}
+
+/**
+ * Create a seeded pseudo-random generator (mulberry32), as used by the dashboard statistics
+ */
+function createRandom(seed) {
+    let state = seed >>> 0;
+    return function() {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Hash a string into a 32-bit seed (FNV-1a)
+ */
+function hashSeed(text) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+/**
+ * Parse a size such as 512, 250k or 2m into bytes
+ */
+function parseSize(value, fallback) {
+    if (value === null) return fallback;
+
+    const match = /^(\d+(?:\.\d+)?)([kKmM]?)$/.exec(value);
+    if (!match) throw new ParameterError(`size must be a number with an optional k or m suffix, got ${value}`);
+
+    const multiplier = { '': 1, k: 1024, m: 1024 * 1024 }[match[2].toLowerCase()];
+    const size = Math.round(parseFloat(match[1]) * multiplier);
+    if (size > MAX_SIZE) throw new ParameterError(`size must be at most ${MAX_SIZE} bytes`);
+    return size;
+}
+
+/**
+ * Parse a bounded number parameter
+ */
+function parseNumber(value, name, fallback, min, max) {
+    if (value === null) return fallback;
+
+    const number = Number(value);
+    if (!isFinite(number) || number < min || number > max) {
+        throw new ParameterError(`${name} must be between ${min} and ${max}, got ${value}`);
+    }
+    return number;
+}
+
+/**
+ * Read the payload parameters shared by /gen and /gen/page
+ */
+function readPayloadOptions(params) {
+    const type = params.get('type') || 'txt';
+    if (!TYPES[type]) throw new ParameterError(`type must be one of ${Object.keys(TYPES).join(', ')}`);
+
+    return {
+        size: parseSize(params.get('size'), 1024),
+        type,
+        delay: parseNumber(params.get('delay'), 'delay', 0, 0, MAX_DELAY),
+        compress: parseNumber(params.get('compress'), 'compress', 0.5, 0, 1),
+        seed: params.get('seed')
+    };
+}
+
+/**
+ * Generate `length` filler bytes; each run of output is either the repeated phrase or random characters
+ */
+function* generateFiller(length, options, random) {
+    let remaining = length;
+
+    while (remaining > 0) {
+        const chunk = Buffer.alloc(Math.min(CHUNK_SIZE, remaining));
+        let offset = 0;
+
+        while (offset < chunk.length) {
+            // Work in runs of 32 bytes so compressible stretches are long enough for gzip to find
+            const run = Math.min(32, chunk.length - offset);
+            const repeat = random() < options.compress;
+
+            for (let i = 0; i < run; i++) {
+                if (repeat) {
+                    chunk[offset + i] = PHRASE.charCodeAt((offset + i) % PHRASE.length);
+                } else if (TYPES[options.type].binary) {
+                    chunk[offset + i] = Math.floor(random() * 256);
+                } else {
+                    chunk[offset + i] = ALPHABET.charCodeAt(Math.floor(random() * ALPHABET.length));
+                }
+            }
+            offset += run;
+        }
+
+        remaining -= chunk.length;
+        yield chunk;
+    }
+}
+
+/**
+ * Read the /gen/net/<latency>/<kbps>/ prefix of a path, or null when the path has none
+ */
+function readThrottle(pathname) {
+    const match = /^\/gen\/net\/([^/]+)\/([^/]+)\/(.*)$/.exec(pathname);
+    if (!match) return null;
+
+    const latency = parseNumber(match[1], 'latency', 0, 0, MAX_DELAY);
+    const kbps = parseNumber(match[2], 'kbps', 0, 0, MAX_RATE);
+    return {
+        latency,
+        // 0 means unlimited
+        bytesPerSecond: kbps > 0 ? kbps * 1000 / 8 : 0,
+        prefix: `/gen/net/${match[1]}/${match[2]}/`,
+        path: match[3]
+    };
+}
+
+/**
+ * Write a chunk, respecting backpressure and, when given, a bandwidth limit
+ */
+async function writeChunk(res, chunk, bytesPerSecond = 0) {
+    const sliceSize = bytesPerSecond > 0 ? Math.max(1024, Math.round(bytesPerSecond * RATE_SLICE_MS / 1000)) : chunk.length;
+
+    for (let offset = 0; offset < chunk.length; offset += sliceSize) {
+        const slice = chunk.subarray(offset, offset + sliceSize);
+        if (!res.write(slice)) {
+            await waitForDrain(res);
+        }
+        if (res.destroyed) return;
+        if (bytesPerSecond > 0) {
+            await wait(slice.length / bytesPerSecond * 1000);
+        }
+    }
+}
+
+/**
+ * Serve a file from the web root through a throttle, so test pages can be measured under a network profile
+ */
+async function serveThrottledFile(req, res, throttle) {
+    const file = path.resolve(WEB_ROOT, decodeURIComponent(throttle.path) || 'index.html');
+    if (file !== WEB_ROOT && !file.startsWith(WEB_ROOT + path.sep)) {
+        throw new ParameterError(`${throttle.path} is outside the web root`);
+    }
+
+    let body;
+    try {
+        body = await fs.promises.readFile(file);
+    } catch (error) {
+        await wait(throttle.latency);
+        sendError(res, 404, `No file ${throttle.path}`);
+        return;
+    }
+
+    await wait(throttle.latency);
+
+    res.writeHead(200, {
+        'Content-Type': FILE_TYPES[path.extname(file).toLowerCase()] || 'application/octet-stream',
+        'Content-Length': body.length,
+        'Cache-Control': 'no-store'
+    });
+
+    if (req.method === 'HEAD') {
+        res.end();
+        return;
+    }
+
+    await writeChunk(res, body, throttle.bytesPerSecond);
+    if (!res.destroyed) res.end();
+}
+
+/**
+ * Serve a generated payload of exactly `size` bytes (or the wrapper alone when it is larger)
+ */
+async function servePayload(req, res, options, bytesPerSecond = 0) {
+    const type = TYPES[options.type];
+    const header = Buffer.from(type.header(options.size));
+    const footer = Buffer.from(type.footer);
+    const fillerLength = Math.max(0, options.size - header.length - footer.length);
+    const seed = options.seed !== null ? hashSeed(options.seed) : hashSeed(`${options.size}|${options.type}|${options.compress}`);
+
+    await wait(options.delay);
+
+    res.writeHead(200, {
+        'Content-Type': type.contentType,
+        'Content-Length': header.length + fillerLength + footer.length,
+        'Cache-Control': 'no-store',
+        'X-Generator-Seed': String(seed)
+    });
+
+    if (req.method === 'HEAD') {
+        res.end();
+        return;
+    }
+
+    await writeChunk(res, header, bytesPerSecond);
+    for (const chunk of generateFiller(fillerLength, options, createRandom(seed))) {
+        // Respect backpressure so large payloads are streamed rather than buffered
+        await writeChunk(res, chunk, bytesPerSecond);
+        if (res.destroyed) return;
+    }
+    await writeChunk(res, footer, bytesPerSecond);
+    if (!res.destroyed) res.end();
+}
+
+/**
+ * Wait until a response can take more data, or until the client goes away and it never will
+ */
+function waitForDrain(res) {
+    return new Promise(resolve => {
+        const done = () => {
+            res.off('drain', done);
+            res.off('close', done);
+            res.off('error', done);
+            resolve();
+        };
+        res.once('drain', done);
+        res.once('close', done);
+        res.once('error', done);
+    });
+}
+
+/**
+ * Serve a test page that loads `count` generated resources
+ */
+function servePage(req, res, params, base = '/') {
+    const options = readPayloadOptions(params);
+    const count = parseNumber(params.get('count'), 'count', 10, 1, MAX_COUNT);
+    const order = params.get('order') === 'sequential' ? 'sequential' : 'parallel';
+    const typeNames = { js: 'script', css: 'stylesheet', svg: 'image' };
+
+    const query = new URLSearchParams({ size: String(options.size), type: options.type, delay: String(options.delay), compress: String(options.compress) });
+    if (options.seed !== null) query.set('seed', options.seed);
+
+    const spec = {
+        name: `Generated: ${count} × ${options.type}, ${options.size} bytes`,
+        loadOrder: order,
+        items: [{ path: `gen?${query}`, type: typeNames[options.type] || 'other', count, priority: 'auto' }]
+    };
+
+    // Reuse the custom scenario page, which already loads and reports a composition
+    res.writeHead(302, {
+        Location: `${base}test-custom.html?spec=${encodeURIComponent(JSON.stringify(spec))}`,
+        'Cache-Control': 'no-store'
+    });
+    res.end();
+}
+
+function wait(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function sendError(res, status, message) {
+    res.writeHead(status, { 'Content-Type': 'application/json', 'Cache-Control': 'no-store' });
+    res.end(JSON.stringify({ error: message }));
+}
+
+const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url, 'http://generator');
+
+    if (req.method !== 'GET' && req.method !== 'HEAD') {
+        sendError(res, 405, 'Only GET and HEAD are supported');
+        return;
+    }
+
+    try {
+        const throttle = readThrottle(url.pathname);
+
+        if (throttle && throttle.path === 'gen') {
+            // Generated resources of a throttled page keep the page's delay on top of their own
+            const options = readPayloadOptions(url.searchParams);
+            await servePayload(req, res, { ...options, delay: options.delay + throttle.latency }, throttle.bytesPerSecond);
+        } else if (throttle && throttle.path === 'gen/page') {
+            await wait(throttle.latency);
+            servePage(req, res, url.searchParams, throttle.prefix);
+        } else if (throttle) {
+            await serveThrottledFile(req, res, throttle);
+        } else if (url.pathname === '/gen/health') {
+            res.writeHead(200, { 'Content-Type': 'text/plain' });
+            res.end('Generator OK\n');
+        } else if (url.pathname === '/gen/page') {
+            servePage(req, res, url.searchParams);
+        } else if (url.pathname === '/gen') {
+            await servePayload(req, res, readPayloadOptions(url.searchParams));
+        } else {
+            sendError(res, 404, `Unknown path ${url.pathname}`);
+        }
+    } catch (error) {
+        if (error instanceof ParameterError) {
+            sendError(res, 400, error.message);
+        } else {
+            console.error('Generator request failed:', error);
+            if (!res.headersSent) sendError(res, 500, 'Generator error');
+            else res.destroy();
+        }
+    }
+});
+
+if (require.main === module) {
+    server.listen(PORT, () => {
+        console.log(`Resource generator listening on port ${PORT}`);
+    });
+}
+
+// Export for module systems
+module.exports = { server, parseSize, readPayloadOptions, generateFiller, createRandom };
\ No newline at end of file
@@ -0,0 +1,399 @@
+/**
+ * Regression Baseline Module
+ * Pins a known-good result set and checks every batch against configurable regression thresholds
+ */
+
+class RegressionBaseline {
+    constructor(performanceMeasurement) {
+        this.performanceMeasurement = performanceMeasurement;
+        this.statistics = performanceMeasurement.statistics;
+        this.baselineKey = 'h2-vs-h3.regressionBaseline';
+        this.thresholdsKey = 'h2-vs-h3.regressionThresholds';
+        this.defaultThresholds = [
+            { protocol: 'http3', metric: 'loadTime', percentile: 75, maxRegression: 10 },
+            { protocol: 'http2', metric: 'loadTime', percentile: 75, maxRegression: 10 }
+        ];
+        this.baseline = this.loadBaseline();
+        this.thresholds = this.loadThresholds();
+        // Outcome of the most recent batch, kept for the JUnit export
+        this.lastEvaluation = null;
+
+        this.init();
+    }
+
+    /**
+     * Set up the baseline controls
+     */
+    init() {
+        this.attachEventListeners();
+        this.render();
+    }
+
+    /**
+     * Attach event listeners to the baseline controls
+     */
+    attachEventListeners() {
+        const bind = (id, event, handler) => {
+            const element = document.getElementById(id);
+            if (element) element.addEventListener(event, handler);
+        };
+
+        const fileInput = document.getElementById('baselineFile');
+        bind('baselinePinCurrent', 'click', () => this.pinCurrentResults());
+        bind('baselinePinFile', 'click', () => fileInput && fileInput.click());
+        bind('baselineFile', 'change', (e) => {
+            if (e.target.files[0]) this.pinFile(e.target.files[0]);
+            e.target.value = '';
+        });
+        bind('baselineUnpin', 'click', () => this.unpin());
+        bind('baselineAddThreshold', 'click', () => this.addThreshold());
+        bind('baselineExportJUnit', 'click', () => this.exportJUnit());
+
+        const thresholds = document.getElementById('baselineThresholds');
+        if (thresholds) {
+            thresholds.addEventListener('change', (e) => {
+                const index = parseInt(e.target.dataset.index, 10);
+                if (!isNaN(index)) this.updateThreshold(index, e.target.dataset.field, e.target.value);
+            });
+            thresholds.addEventListener('click', (e) => {
+                if (e.target.classList.contains('threshold-remove')) this.removeThreshold(parseInt(e.target.dataset.index, 10));
+            });
+        }
+    }
+
+    /**
+     * Read the pinned baseline
+     */
+    loadBaseline() {
+        try {
+            return JSON.parse(localStorage.getItem(this.baselineKey) || 'null');
+        } catch (error) {
+            console.warn('Could not read the pinned baseline:', error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Read the configured thresholds, falling back to the defaults
+     */
+    loadThresholds() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(this.thresholdsKey) || 'null');
+            return Array.isArray(stored) ? stored : this.defaultThresholds.map(threshold => ({ ...threshold }));
+        } catch (error) {
+            console.warn('Could not read the regression thresholds:', error.message);
+            return this.defaultThresholds.map(threshold => ({ ...threshold }));
+        }
+    }
+
+    /**
+     * Pin a result set as the baseline
+     */
+    pin(label, measurements) {
+        // Only run-level metrics are compared, so per-resource entries are left out to stay within localStorage limits
+        const strip = (list) => list.map(m => ({ ...m, resources: [] }));
+        const baseline = {
+            label,
+            pinnedAt: new Date().toISOString(),
+            measurements: { http2: strip(measurements.http2), http3: strip(measurements.http3) }
+        };
+
+        try {
+            localStorage.setItem(this.baselineKey, JSON.stringify(baseline));
+        } catch (error) {
+            this.showStatus(`Could not store the baseline: ${error.message}`, 'error');
+            return;
+        }
+
+        this.baseline = baseline;
+        this.render();
+        this.showStatus(`Pinned ${label} as the baseline`, 'success');
+    }
+
+    /**
+     * Pin the current session's results
+     */
+    pinCurrentResults() {
+        const measurements = this.performanceMeasurement.measurements;
+        if (measurements.http2.length === 0 && measurements.http3.length === 0) {
+            this.showStatus('There are no results in this session yet', 'info');
+            return;
+        }
+
+        this.pin(`Session of ${new Date().toLocaleString()}`, measurements);
+    }
+
+    /**
+     * Pin the results of an exported file
+     */
+    async pinFile(file) {
+        const measurement = this.performanceMeasurement;
+
+        try {
+            const results = await measurement.resultsSchema.parse(await measurement.readFile(file), file.name);
+            this.pin(file.name, results.measurements);
+        } catch (error) {
+            console.error('Could not pin baseline:', error);
+            this.showStatus(error.message, 'error');
+        }
+    }
+
+    /**
+     * Remove the pinned baseline
+     */
+    unpin() {
+        localStorage.removeItem(this.baselineKey);
+        this.baseline = null;
+        this.lastEvaluation = null;
+        this.render();
+        this.renderBanner();
+    }
+
+    /**
+     * Add a threshold with the default settings
+     */
+    addThreshold() {
+        this.thresholds.push({ ...this.defaultThresholds[0] });
+        this.storeThresholds();
+    }
+
+    /**
+     * Change one field of a threshold
+     */
+    updateThreshold(index, field, value) {
+        const threshold = this.thresholds[index];
+        if (!threshold) return;
+
+        if (field === 'percentile' || field === 'maxRegression') {
+            const number = parseFloat(value);
+            if (isNaN(number) || number < 0) return;
+            threshold[field] = number;
+        } else {
+            threshold[field] = value;
+        }
+        this.storeThresholds();
+    }
+
+    /**
+     * Remove a threshold
+     */
+    removeThreshold(index) {
+        this.thresholds.splice(index, 1);
+        this.storeThresholds();
+    }
+
+    /**
+     * Write the thresholds to localStorage
+     */
+    storeThresholds() {
+        localStorage.setItem(this.thresholdsKey, JSON.stringify(this.thresholds));
+        this.render();
+    }
+
+    /**
+     * Describe a threshold, e.g. "HTTP/3 p75 Load Time regresses at most 10%"
+     */
+    describeThreshold(threshold) {
+        const definition = this.statistics.metrics[threshold.metric];
+        const protocol = threshold.protocol === 'http2' ? 'HTTP/2' : 'HTTP/3';
+        return `${protocol} p${threshold.percentile} ${definition ? definition.label : threshold.metric} regresses at most ${threshold.maxRegression}%`;
+    }
+
+    /**
+     * Check the recorded runs of a batch against every threshold
+     */
+    evaluate(runs, scenario, batchId = null) {
+        if (!this.baseline) return null;
+
+        const batch = { http2: [], http3: [] };
+        runs.filter(run => run.recorded && !run.cancelled && run.results.http2 && run.results.http3).forEach(run => {
+            batch.http2.push(run.results.http2);
+            batch.http3.push(run.results.http3);
+        });
+
+        const measurement = this.performanceMeasurement;
+        const results = this.thresholds.map(threshold => {
+            const percentile = (measurements) => {
+                const values = this.statistics.extractValues(
+                    measurement.getScenarioMeasurements(threshold.protocol, scenario, measurements),
+                    threshold.metric
+                ).sort((a, b) => a - b);
+                return { count: values.length, value: this.statistics.quantile(values, threshold.percentile / 100) };
+            };
+            const baseline = percentile(this.baseline.measurements);
+            const current = percentile(batch);
+            const result = { threshold, name: this.describeThreshold(threshold), baseline: baseline.value, batch: current.value, change: null };
+
+            if (baseline.count < this.statistics.minimumSampleSize || current.count < this.statistics.minimumSampleSize) {
+                return {
+                    ...result,
+                    status: 'skipped',
+                    message: `Needs at least ${this.statistics.minimumSampleSize} valid runs on each side (baseline ${baseline.count}, batch ${current.count})`
+                };
+            }
+
+            const change = baseline.value !== 0 ? (current.value - baseline.value) / baseline.value * 100 : 0;
+            const passed = change <= threshold.maxRegression;
+            const unit = this.statistics.metrics[threshold.metric].unit;
+            const format = (value) => measurement.formatMetricValue(value, unit);
+
+            return {
+                ...result,
+                change,
+                status: passed ? 'passed' : 'failed',
+                message: `${format(current.value)} vs baseline ${format(baseline.value)} (${change > 0 ? '+' : ''}${change.toFixed(1)}%, limit +${threshold.maxRegression}%)`
+            };
+        });
+
+        const count = (status) => results.filter(result => result.status === status).length;
+        this.lastEvaluation = {
+            scenario,
+            batchId,
+            evaluatedAt: new Date().toISOString(),
+            baseline: this.baseline.label,
+            results,
+            passed: count('passed'),
+            failed: count('failed'),
+            skipped: count('skipped'),
+            // A batch passes only if at least one threshold could be checked and none failed
+            status: count('failed') > 0 ? 'failed' : count('passed') > 0 ? 'passed' : 'skipped'
+        };
+
+        this.renderBanner();
+        return this.lastEvaluation;
+    }
+
+    /**
+     * Show the pass/fail banner of the last evaluation
+     */
+    renderBanner() {
+        const banner = document.getElementById('baselineBanner');
+        if (!banner) return;
+
+        const evaluation = this.lastEvaluation;
+        if (!evaluation) {
+            banner.style.display = 'none';
+            return;
+        }
+
+        const headlines = {
+            passed: `✓ Baseline check passed: ${evaluation.passed} of ${evaluation.results.length} thresholds met`,
+            failed: `✗ Baseline check failed: ${evaluation.failed} of ${evaluation.results.length} thresholds exceeded`,
+            skipped: '? Baseline check skipped: no threshold had enough runs to check'
+        };
+
+        banner.className = `baseline-banner ${evaluation.status}`;
+        banner.innerHTML = `
+            <strong>${headlines[evaluation.status]}</strong>
+            <small>Scenario ${escapeHtml(evaluation.scenario)} against ${escapeHtml(evaluation.baseline)}</small>
+            <ul>
+                ${evaluation.results.map(result => `<li class="${result.status}">${escapeHtml(result.name)}: ${escapeHtml(result.message)}</li>`).join('')}
+            </ul>
+        `;
+        banner.style.display = 'block';
+    }
+
+    /**
+     * Build a JUnit XML report of the last evaluation, one test case per threshold
+     */
+    toJUnit(evaluation = this.lastEvaluation) {
+        const suite = `h2-vs-h3.${evaluation.scenario}`;
+
+        const cases = evaluation.results.map(result => {
+            const outcome = result.status === 'failed'
+                ? `\n      <failure message="${escapeHtml(result.message)}" type="regression">${escapeHtml(`${result.name}: ${result.message}`)}</failure>\n    `
+                : result.status === 'skipped'
+                    ? `\n      <skipped message="${escapeHtml(result.message)}"/>\n    `
+                    : '';
+            return `    <testcase classname="${escapeHtml(`${suite}.${result.threshold.protocol}`)}" name="${escapeHtml(result.name)}" time="0">${outcome}</testcase>`;
+        });
+
+        return [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            `<testsuites name="h2-vs-h3 regression baseline" tests="${evaluation.results.length}" failures="${evaluation.failed}" skipped="${evaluation.skipped}">`,
+            `  <testsuite name="${escapeHtml(suite)}" tests="${evaluation.results.length}" failures="${evaluation.failed}" skipped="${evaluation.skipped}" errors="0" timestamp="${evaluation.evaluatedAt.slice(0, 19)}">`,
+            '    <properties>',
+            `      <property name="baseline" value="${escapeHtml(evaluation.baseline)}"/>`,
+            `      <property name="batchId" value="${escapeHtml(evaluation.batchId || '')}"/>`,
+            '    </properties>',
+            ...cases,
+            '  </testsuite>',
+            '</testsuites>'
+        ].join('\n');
+    }
+
+    /**
+     * Download the last evaluation as JUnit XML
+     */
+    exportJUnit() {
+        if (!this.lastEvaluation) {
+            this.showStatus('Run a batch against a pinned baseline first', 'info');
+            return;
+        }
+
+        const dataBlob = new Blob([this.toJUnit()], { type: 'application/xml' });
+        const url = URL.createObjectURL(dataBlob);
+
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `baseline-junit-${this.lastEvaluation.evaluatedAt.slice(0, 19).replace(/:/g, '-')}.xml`;
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        URL.revokeObjectURL(url);
+
+        console.log('Baseline report exported as JUnit XML');
+    }
+
+    /**
+     * Render the pinned baseline and the threshold editor
+     */
+    render() {
+        const pinned = document.getElementById('baselinePinned');
+        if (pinned) {
+            pinned.innerHTML = this.baseline
+                ? `Baseline: <strong>${escapeHtml(this.baseline.label)}</strong> (${this.baseline.measurements.http2.length} HTTP/2 and ${this.baseline.measurements.http3.length} HTTP/3 runs, pinned ${new Date(this.baseline.pinnedAt).toLocaleString()})`
+                : 'No baseline pinned. Batches are not checked.';
+        }
+
+        const container = document.getElementById('baselineThresholds');
+        if (!container) return;
+
+        const options = (values, current) => values
+            .map(([value, label]) => `<option value="${value}"${String(value) === String(current) ? ' selected' : ''}>${label}</option>`)
+            .join('');
+        const protocols = [['http2', 'HTTP/2'], ['http3', 'HTTP/3']];
+        const metrics = this.statistics.getSignificanceMetrics().map(metric => [metric, this.statistics.metrics[metric].label]);
+        const percentiles = this.statistics.percentileLevels.map(level => [level, `p${level}`]);
+
+        container.innerHTML = this.thresholds.length === 0
+            ? '<small>No thresholds. Add one to check batches.</small>'
+            : this.thresholds.map((threshold, index) => `
+                <div class="baseline-threshold">
+                    <select data-index="${index}" data-field="protocol">${options(protocols, threshold.protocol)}</select>
+                    <select data-index="${index}" data-field="percentile">${options(percentiles, threshold.percentile)}</select>
+                    <select data-index="${index}" data-field="metric">${options(metrics, threshold.metric)}</select>
+                    <label>must not regress more than
+                        <input type="number" min="0" step="1" data-index="${index}" data-field="maxRegression" value="${threshold.maxRegression}">%
+                    </label>
+                    <button type="button" class="btn btn-secondary threshold-remove" data-index="${index}" title="Remove threshold">×</button>
+                </div>
+            `).join('');
+    }
+
+    /**
+     * Show a status line under the baseline controls
+     */
+    showStatus(message, type) {
+        const status = document.getElementById('baselineStatus');
+        if (!status) return;
+
+        status.textContent = message;
+        status.className = `baseline-status ${type}`;
+    }
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = RegressionBaseline;
+}
\ No newline at end of file
@@ -0,0 +1,409 @@
+/**
+ * Result Set Comparison Module
+ * Compares saved result sets (e.g. before and after server tuning) per scenario, protocol and metric
+ */
+
+class ResultSetComparison {
+    constructor(performanceMeasurement, resultsHistory = null) {
+        this.performanceMeasurement = performanceMeasurement;
+        this.resultsHistory = resultsHistory;
+        this.statistics = performanceMeasurement.statistics;
+        // Result sets in the order they were added; the baseline is the one every other set is compared with
+        this.sets = [];
+        this.baselineId = null;
+        this.nextId = 1;
+        // Metric whose distributions are overlaid in the plots
+        this.plotMetric = 'loadTime';
+        this.plotWidth = 400;
+        this.plotHeight = 140;
+        this.colors = ['#6c757d', '#6f42c1', '#fd7e14', '#17a2b8', '#e83e8c', '#20c997'];
+
+        this.init();
+    }
+
+    /**
+     * Set up the comparison controls
+     */
+    init() {
+        this.attachEventListeners();
+        this.render();
+    }
+
+    /**
+     * Attach event listeners to the comparison controls
+     */
+    attachEventListeners() {
+        const bind = (id, event, handler) => {
+            const element = document.getElementById(id);
+            if (element) element.addEventListener(event, handler);
+        };
+
+        const fileInput = document.getElementById('comparisonFiles');
+        bind('comparisonAddFiles', 'click', () => fileInput && fileInput.click());
+        bind('comparisonFiles', 'change', (e) => {
+            this.addFiles(Array.from(e.target.files));
+            e.target.value = '';
+        });
+        bind('comparisonAddCurrent', 'click', () => this.addCurrentResults());
+        bind('comparisonAddHistory', 'click', () => this.addHistorySelection());
+        bind('comparisonMetric', 'change', (e) => {
+            this.plotMetric = e.target.value;
+            this.render();
+        });
+
+        const sets = document.getElementById('comparisonSets');
+        if (sets) {
+            sets.addEventListener('click', (e) => {
+                const id = parseInt(e.target.dataset.id, 10);
+                if (e.target.classList.contains('comparison-remove')) this.removeSet(id);
+            });
+            sets.addEventListener('change', (e) => {
+                if (e.target.name === 'comparisonBaseline') this.setBaseline(parseInt(e.target.value, 10));
+            });
+        }
+    }
+
+    /**
+     * Add a result set; the first set becomes the baseline
+     */
+    addSet(label, measurements, origin) {
+        const set = {
+            id: this.nextId++,
+            label,
+            origin,
+            measurements: {
+                http2: measurements.http2.slice(),
+                http3: measurements.http3.slice()
+            }
+        };
+
+        this.sets.push(set);
+        if (this.baselineId === null) {
+            this.baselineId = set.id;
+        }
+        this.render();
+        return set;
+    }
+
+    /**
+     * Add one result set per exported results file
+     */
+    async addFiles(files) {
+        const measurement = this.performanceMeasurement;
+
+        for (const file of files) {
+            try {
+                const results = await measurement.resultsSchema.parse(await measurement.readFile(file), file.name);
+                this.addSet(this.getLabel(file.name), results.measurements, 'file');
+            } catch (error) {
+                console.error('Could not add result set:', error);
+                this.showStatus(error.message, 'error');
+                return;
+            }
+        }
+        this.showStatus(`Added ${files.length} result set(s)`, 'success');
+    }
+
+    /**
+     * Add the results of the current session as a set
+     */
+    addCurrentResults() {
+        const measurements = this.performanceMeasurement.measurements;
+        if (measurements.http2.length === 0 && measurements.http3.length === 0) {
+            this.showStatus('There are no results in this session yet', 'info');
+            return;
+        }
+
+        this.addSet(this.getLabel(`Session ${new Date().toLocaleTimeString()}`), measurements, 'session');
+        this.showStatus('Added the current results', 'success');
+    }
+
+    /**
+     * Add the runs selected in the results history as a set
+     */
+    addHistorySelection() {
+        const records = this.resultsHistory ? this.resultsHistory.getSelectedRecords() : [];
+        if (records.length === 0) {
+            this.showStatus('Select runs in the results history first', 'info');
+            return;
+        }
+
+        const tags = Array.from(new Set(records.reduce((all, record) => all.concat(record.tags), [])));
+        const fallback = tags.length > 0 ? tags.join(', ') : `History (${records.length} runs)`;
+        this.addSet(this.getLabel(fallback), this.resultsHistory.toMeasurements(records), 'history');
+        this.showStatus(`Added ${records.length} history run(s)`, 'success');
+    }
+
+    /**
+     * Use the label typed for the next set, or a fallback
+     */
+    getLabel(fallback) {
+        const input = document.getElementById('comparisonLabel');
+        const label = input ? input.value.trim() : '';
+        if (input) input.value = '';
+        return label || fallback;
+    }
+
+    /**
+     * Remove a result set
+     */
+    removeSet(id) {
+        this.sets = this.sets.filter(set => set.id !== id);
+        if (this.baselineId === id) {
+            this.baselineId = this.sets.length > 0 ? this.sets[0].id : null;
+        }
+        this.render();
+    }
+
+    /**
+     * Choose the set the others are compared with
+     */
+    setBaseline(id) {
+        this.baselineId = id;
+        this.render();
+    }
+
+    /**
+     * Get the comparable values of a metric in a set
+     */
+    getValues(set, protocol, scenario, metric) {
+        const measurements = this.performanceMeasurement.getScenarioMeasurements(protocol, scenario, set.measurements);
+        return this.statistics.extractValues(measurements, metric);
+    }
+
+    /**
+     * Compare a metric of a set with the baseline; the difference is set minus baseline
+     */
+    compare(baseline, set, protocol, scenario, metric) {
+        // compareMetric treats its second sample as the candidate, so a "better" second sample is an improvement
+        const comparison = this.statistics.compareMetric(
+            this.getValues(baseline, protocol, scenario, metric),
+            this.getValues(set, protocol, scenario, metric),
+            metric
+        );
+        const changes = {
+            'http3-better': 'improvement',
+            'http2-better': 'regression',
+            'no-significant-difference': 'no-change',
+            'insufficient-data': 'insufficient-data'
+        };
+
+        return {
+            ...comparison,
+            baseline: comparison.http2,
+            candidate: comparison.http3,
+            change: changes[comparison.verdict],
+            relative: comparison.difference && comparison.http2.estimate !== 0
+                ? comparison.difference.estimate / comparison.http2.estimate * 100
+                : null
+        };
+    }
+
+    /**
+     * Get the scenarios that the baseline and at least one other set have results for
+     */
+    getScenarios() {
+        const baseline = this.getBaseline();
+        const measured = (set) => new Set(this.performanceMeasurement.getMeasuredScenarios(set.measurements));
+        const baselineScenarios = measured(baseline);
+        const others = this.sets.filter(set => set !== baseline).map(measured);
+
+        return Array.from(baselineScenarios).filter(scenario => others.some(scenarios => scenarios.has(scenario)));
+    }
+
+    /**
+     * Get the baseline set
+     */
+    getBaseline() {
+        return this.sets.find(set => set.id === this.baselineId) || null;
+    }
+
+    /**
+     * Get the colour of a set in plots and the set list
+     */
+    getColor(set) {
+        return this.colors[this.sets.indexOf(set) % this.colors.length];
+    }
+
+    /**
+     * Redraw the set list and comparison results
+     */
+    render() {
+        this.renderSets();
+
+        const container = document.getElementById('comparisonResults');
+        if (!container) return;
+
+        if (this.sets.length < 2) {
+            container.innerHTML = '<small>Add at least two result sets to compare them.</small>';
+            return;
+        }
+
+        const scenarios = this.getScenarios();
+        if (scenarios.length === 0) {
+            container.innerHTML = '<small>The result sets have no scenario in common with the baseline.</small>';
+            return;
+        }
+
+        container.innerHTML = scenarios.map(scenario => `
+            <div class="comparison-scenario">
+                <h5>${escapeHtml(this.getScenarioName(scenario))}</h5>
+                <div class="comparison-plots">
+                    ${['http2', 'http3'].map(protocol => this.renderDistributionPlot(scenario, protocol)).join('')}
+                </div>
+                ${this.renderDeltaTable(scenario)}
+            </div>
+        `).join('') + `
+            <div class="summary-note">
+                <small>Differences are medians of each set minus the baseline's, with ${Math.round(this.statistics.confidenceLevel * 100)}% bootstrap intervals.
+                A change is highlighted when the Mann-Whitney U test and the interval agree. Lower is better for every metric.</small>
+            </div>
+        `;
+    }
+
+    /**
+     * Get the display name of a scenario
+     */
+    getScenarioName(scenario) {
+        const scenarios = this.performanceMeasurement.testScenarios;
+        return scenarios[scenario] ? scenarios[scenario].name : scenario;
+    }
+
+    /**
+     * List the result sets with their baseline choice
+     */
+    renderSets() {
+        const container = document.getElementById('comparisonSets');
+        if (!container) return;
+
+        if (this.sets.length === 0) {
+            container.innerHTML = '<small>No result sets added yet.</small>';
+            return;
+        }
+
+        container.innerHTML = `
+            <ul>
+                ${this.sets.map(set => `
+                    <li>
+                        <span class="curve-key" style="background: ${this.getColor(set)};"></span>
+                        <label><input type="radio" name="comparisonBaseline" value="${set.id}"${set.id === this.baselineId ? ' checked' : ''}> Baseline</label>
+                        <strong>${escapeHtml(set.label)}</strong>
+                        <small>(${set.origin}, ${set.measurements.http2.length} HTTP/2 and ${set.measurements.http3.length} HTTP/3 runs)</small>
+                        <button type="button" class="btn btn-secondary comparison-remove" data-id="${set.id}" title="Remove set">×</button>
+                    </li>
+                `).join('')}
+            </ul>
+        `;
+    }
+
+    /**
+     * Overlay the cumulative distributions of the plot metric in every set for one protocol
+     */
+    renderDistributionPlot(scenario, protocol) {
+        const metric = this.plotMetric;
+        const definition = this.statistics.metrics[metric];
+        const samples = this.sets.map(set => ({
+            set,
+            values: this.getValues(set, protocol, scenario, metric).sort((a, b) => a - b)
+        })).filter(sample => sample.values.length > 0);
+        const all = samples.reduce((values, sample) => values.concat(sample.values), []);
+        const name = protocol === 'http2' ? 'HTTP/2' : 'HTTP/3';
+
+        if (all.length === 0) {
+            return `<div class="comparison-plot"><h6>${name}</h6><p class="race-curves-empty">No ${definition.label.toLowerCase()} values</p></div>`;
+        }
+
+        const min = Math.min(...all);
+        const max = Math.max(...all);
+        const range = max - min || 1;
+        const toX = (value) => ((value - min) / range * this.plotWidth).toFixed(1);
+        // Empirical CDF as a step line: the share of runs at or below each value
+        const toPolyline = (values) => values.map((value, index) => {
+            const before = (this.plotHeight - index / values.length * this.plotHeight).toFixed(1);
+            const after = (this.plotHeight - (index + 1) / values.length * this.plotHeight).toFixed(1);
+            return `${toX(value)},${before} ${toX(value)},${after}`;
+        }).join(' ');
+
+        return `
+            <div class="comparison-plot">
+                <h6>${name}</h6>
+                <svg class="race-curves comparison-curves" viewBox="0 0 ${this.plotWidth} ${this.plotHeight}" preserveAspectRatio="none" role="img" aria-label="${name} ${definition.label} distributions">
+                    ${samples.map(sample => `<polyline points="${toPolyline(sample.values)}" style="stroke: ${this.getColor(sample.set)};${sample.set.id === this.baselineId ? ' stroke-dasharray: 4 3;' : ''}"></polyline>`).join('')}
+                </svg>
+                <div class="race-curves-axis">
+                    <span>${this.performanceMeasurement.formatMetricValue(min, definition.unit)}</span>
+                    <span>share of runs ≤ ${definition.label.toLowerCase()}</span>
+                    <span>${this.performanceMeasurement.formatMetricValue(max, definition.unit)}</span>
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Render the per-metric differences of every set against the baseline for one scenario
+     */
+    renderDeltaTable(scenario) {
+        const baseline = this.getBaseline();
+        const others = this.sets.filter(set => set !== baseline);
+        const metrics = this.statistics.getSignificanceMetrics();
+        const measurement = this.performanceMeasurement;
+
+        const rows = others.map(set => ['http2', 'http3'].map(protocol => metrics.map(metric => {
+            const comparison = this.compare(baseline, set, protocol, scenario, metric);
+            const label = `<td>${escapeHtml(set.label)}</td><td>${protocol === 'http2' ? 'HTTP/2' : 'HTTP/3'}</td><td>${comparison.label}</td>`;
+
+            if (comparison.change === 'insufficient-data') {
+                return `<tr>${label}<td colspan="4">${this.statistics.describeVerdict(comparison)}</td></tr>`;
+            }
+
+            const descriptions = {
+                improvement: 'Significant improvement',
+                regression: 'Significant regression',
+                'no-change': 'No significant change'
+            };
+
+            return `
+                <tr class="${comparison.change}">
+                    ${label}
+                    <td>${measurement.formatInterval(comparison.baseline, comparison.unit)}</td>
+                    <td>${measurement.formatInterval(comparison.candidate, comparison.unit)}</td>
+                    <td>${measurement.formatInterval(comparison.difference, comparison.unit)}${comparison.relative !== null ? ` (${comparison.relative > 0 ? '+' : ''}${comparison.relative.toFixed(1)}%)` : ''}</td>
+                    <td>${descriptions[comparison.change]} (p = ${comparison.pValue.toFixed(3)})</td>
+                </tr>
+            `;
+        }).join('')).join('')).join('');
+
+        return `
+            <table class="significance-table comparison-table">
+                <thead>
+                    <tr>
+                        <th>Set</th>
+                        <th>Protocol</th>
+                        <th>Metric</th>
+                        <th>Baseline median (${escapeHtml(baseline.label)})</th>
+                        <th>Set median</th>
+                        <th>Difference (set - baseline)</th>
+                        <th>Change</th>
+                    </tr>
+                </thead>
+                <tbody>${rows}</tbody>
+            </table>
+        `;
+    }
+
+    /**
+     * Show a status line under the comparison controls
+     */
+    showStatus(message, type) {
+        const status = document.getElementById('comparisonStatus');
+        if (!status) return;
+
+        status.textContent = message;
+        status.className = `comparison-status ${type}`;
+    }
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ResultSetComparison;
+}
\ No newline at end of file
@@ -27,10 +27,9 @@ class CompatibilityChecker {
     }
 
     /**
-     * Get browser information
+     * Get browser information (of this browser unless another user agent is given)
      */
-    getBrowserInfo() {
-        const ua = navigator.userAgent;
+    getBrowserInfo(ua = navigator.userAgent) {
         let browser = 'Unknown';
         let version = 'Unknown';
 
@@ -8,7 +8,19 @@ class DemoController {
         this.performanceMeasurement = null;
         this.compatibilityChecker = null;
         this.networkSimulation = null;
+        this.matrixRunner = null;
+        this.scenarioBuilder = null;
+        this.resultsHistory = null;
+        this.resultComparison = null;
+        this.regressionBaseline = null;
+        this.harExport = null;
+        this.harAnalysis = null;
+        // The last single run or batch, for HAR export
+        this.lastRuns = null;
         this.initialized = false;
+        // Cancellation controller of the running test or batch, and pause state of the batch
+        this.abortController = null;
+        this.batch = null;
         
         this.init();
     }
@@ -34,6 +46,26 @@ class DemoController {
         
         // Initialize network simulation
         this.networkSimulation = new NetworkSimulation();
+        this.performanceMeasurement.networkSimulation = this.networkSimulation;
+
+        // Initialize the scenario × network profile matrix runner
+        this.matrixRunner = new MatrixRunner(this.performanceMeasurement, this.networkSimulation);
+
+        // Keep recorded runs across reloads
+        this.resultsHistory = new ResultsHistory(this.performanceMeasurement);
+
+        // Compare saved result sets with a baseline
+        this.resultComparison = new ResultSetComparison(this.performanceMeasurement, this.resultsHistory);
+
+        // Check batches against a pinned baseline
+        this.regressionBaseline = new RegressionBaseline(this.performanceMeasurement);
+
+        // Export runs as HAR archives
+        this.harExport = new HarExport(this.performanceMeasurement);
+        this.harAnalysis = new HarAnalysis(this.performanceMeasurement);
+
+        // Load the scenario manifest that drives the scenario selectors
+        this.loadScenarios();
         
         // Wait for compatibility checker
         this.waitForCompatibilityChecker();
@@ -106,6 +138,16 @@ class DemoController {
             resetButton.addEventListener('click', () => this.resetTest());
         }
 
+        // Cancel and pause buttons
+        const cancelButton = document.getElementById('cancelTest');
+        if (cancelButton) {
+            cancelButton.addEventListener('click', () => this.cancelTest());
+        }
+        const pauseButton = document.getElementById('pauseTest');
+        if (pauseButton) {
+            pauseButton.addEventListener('click', () => this.togglePause());
+        }
+
         // Scenario selection
         const scenarioSelect = document.getElementById('testScenario');
         if (scenarioSelect) {
@@ -118,6 +160,29 @@ class DemoController {
             exportButton.addEventListener('click', () => this.exportResults());
         }
 
+        // Export CSV button
+        const exportCsvButton = document.getElementById('exportCsv');
+        if (exportCsvButton) {
+            exportCsvButton.addEventListener('click', () => this.exportCsv());
+        }
+
+        // Export HAR button
+        const exportHarButton = document.getElementById('exportHar');
+        if (exportHarButton) {
+            exportHarButton.addEventListener('click', () => this.exportHar());
+        }
+
+        // Import HAR button
+        const importHarButton = document.getElementById('importHarBtn');
+        const importHarInput = document.getElementById('importHar');
+        if (importHarButton && importHarInput) {
+            importHarButton.addEventListener('click', () => importHarInput.click());
+            importHarInput.addEventListener('change', (e) => {
+                this.importHar(e.target.files[0]);
+                e.target.value = '';
+            });
+        }
+
         // Import results button
         const importButton = document.getElementById('importResultsBtn');
         const importInput = document.getElementById('importResults');
@@ -126,12 +191,41 @@ class DemoController {
             importInput.addEventListener('change', (e) => this.importResults(e.target.files[0]));
         }
 
+        // Merge results button (several files, added to the current results)
+        const mergeButton = document.getElementById('mergeResultsBtn');
+        const mergeInput = document.getElementById('mergeResults');
+        if (mergeButton && mergeInput) {
+            mergeButton.addEventListener('click', () => mergeInput.click());
+            mergeInput.addEventListener('change', (e) => {
+                this.mergeResults(Array.from(e.target.files));
+                e.target.value = '';
+            });
+        }
+
+        // Run mode selection
+        const runModeSelect = document.getElementById('runMode');
+        if (runModeSelect) {
+            runModeSelect.addEventListener('change', (e) => this.onRunModeChange(e.target.value));
+        }
+
         // Run multiple tests button
         const multipleTestsButton = document.getElementById('runMultipleTests');
         if (multipleTestsButton) {
             multipleTestsButton.addEventListener('click', () => this.runMultipleTests());
         }
 
+        // Run matrix button
+        const matrixButton = document.getElementById('runMatrix');
+        if (matrixButton) {
+            matrixButton.addEventListener('click', () => this.runMatrix());
+        }
+
+        // Keep the batch button label in sync with the configured run count
+        const batchCountInput = document.getElementById('batchCount');
+        if (batchCountInput) {
+            batchCountInput.addEventListener('input', () => this.updateBatchButtonLabel());
+        }
+
         // Handle iframe errors
         this.setupIframeErrorHandling();
 
@@ -203,15 +297,67 @@ class DemoController {
     }
 
     /**
-     * Initialize UI elements
+     * Load the scenario manifest and the saved custom scenarios, then fill the scenario selectors
      */
-    initializeUI() {
-        // Set default scenario
+    async loadScenarios() {
+        const registry = this.performanceMeasurement.scenarioRegistry;
+
+        try {
+            await registry.load();
+        } catch (error) {
+            console.error('Failed to load test scenarios:', error);
+            this.showError(`Failed to load test scenarios: ${error.message}`);
+            return;
+        }
+
+        // Custom scenarios need the manifest's resource library and built-in IDs
+        this.scenarioBuilder = new ScenarioBuilder(registry, this.performanceMeasurement.serverOrigins, {
+            onChange: (id) => this.onCustomScenarioChange(id)
+        });
+
+        this.refreshScenarioOptions();
+    }
+
+    /**
+     * Handle a custom scenario being saved, imported or deleted
+     */
+    onCustomScenarioChange(id) {
+        // The composition may have changed, so an earlier passing preflight no longer applies
+        this.performanceMeasurement.preflight.invalidate(id);
+        this.refreshScenarioOptions();
+    }
+
+    /**
+     * Rebuild the scenario dropdown, its description and the matrix scenario list from the registry
+     */
+    refreshScenarioOptions() {
+        const registry = this.performanceMeasurement.scenarioRegistry;
         const scenarioSelect = document.getElementById('testScenario');
-        if (scenarioSelect && !scenarioSelect.value) {
-            scenarioSelect.value = 'basic';
+
+        if (scenarioSelect) {
+            registry.populateSelect(scenarioSelect);
+
+            // Set default scenario
+            if (!registry.has(scenarioSelect.value) && registry.has('basic')) {
+                scenarioSelect.value = 'basic';
+            }
+
+            if (window.protocolCompatibility && window.protocolCompatibility.fallbackActive) {
+                this.updateTestScenariosForFallback();
+            }
+
+            this.updateScenarioDescription(scenarioSelect.value);
+        }
+
+        if (this.matrixRunner) {
+            this.matrixRunner.renderOptions();
         }
+    }
 
+    /**
+     * Initialize UI elements
+     */
+    initializeUI() {
         // Initialize protocol status
         this.updateProtocolStatus('http2', 'ready', 'Ready');
         this.updateProtocolStatus('http3', 'ready', 'Ready');
@@ -225,16 +371,23 @@ class DemoController {
      */
     setupKeyboardShortcuts() {
         document.addEventListener('keydown', (e) => {
-            // Ctrl/Cmd + Enter to start test
+            // A test, batch or matrix owns the abort controller while it runs
+            const running = this.abortController !== null;
+
+            // Ctrl/Cmd + Enter to start test, ignored while one is running
             if ((e.ctrlKey || e.metaKey) && e.key === 'Enter') {
                 e.preventDefault();
-                this.startTest();
+                if (!running) this.startTest();
             }
             
-            // Escape to reset
+            // Escape cancels the running test like the Cancel button, otherwise resets
             if (e.key === 'Escape') {
                 e.preventDefault();
-                this.resetTest();
+                if (running) {
+                    this.cancelTest();
+                } else {
+                    this.resetTest();
+                }
             }
         });
     }
@@ -256,11 +409,170 @@ class DemoController {
         // Show protocol-specific warnings
         this.showProtocolWarnings();
 
+        // Continue the ordering sequence across individual test clicks
+        const runIndex = this.performanceMeasurement.measurements.http2.length;
+
+        this.abortController = new AbortController();
+        this.updateExecutionControls();
+
         try {
-            await this.performanceMeasurement.startTest(scenario);
+            const run = await this.performanceMeasurement.startTest(scenario, {
+                ...this.getRunOptions(runIndex),
+                timeout: this.getBatchConfig().timeout,
+                signal: this.abortController.signal
+            });
+            await this.recordRun(run);
+            if (!run.cancelled) {
+                this.lastRuns = { runs: [run], name: 'run' };
+            }
         } catch (error) {
             console.error('Test failed:', error);
             this.showError(`Test failed: ${error.message}`);
+        } finally {
+            this.abortController = null;
+            this.updateExecutionControls();
+        }
+    }
+
+    /**
+     * Cancel the running test or batch
+     */
+    cancelTest() {
+        if (this.abortController) {
+            console.log('Cancelling test');
+            this.abortController.abort();
+        }
+    }
+
+    /**
+     * Pause or resume the running batch
+     */
+    togglePause() {
+        if (!this.batch) return;
+
+        if (this.batch.paused) {
+            this.resumeBatch();
+        } else {
+            this.pauseBatch(false);
+        }
+    }
+
+    /**
+     * Pause the running batch before its next run (the run in progress finishes)
+     */
+    pauseBatch(automatic) {
+        if (!this.batch || this.batch.paused) return;
+
+        this.batch.paused = true;
+        this.batch.autoPaused = automatic;
+        console.log(`Batch paused${automatic ? ' (tab hidden)' : ''}`);
+        this.batch.render();
+        this.updateExecutionControls();
+    }
+
+    /**
+     * Resume a paused batch
+     */
+    resumeBatch() {
+        if (!this.batch || !this.batch.paused) return;
+
+        this.batch.paused = false;
+        this.batch.autoPaused = false;
+        console.log('Batch resumed');
+        if (this.batch.resume) {
+            this.batch.resume();
+            this.batch.resume = null;
+        }
+        this.batch.render();
+        this.updateExecutionControls();
+    }
+
+    /**
+     * Wait while the batch is paused; returns early when the batch is cancelled
+     */
+    async waitWhilePaused(signal) {
+        while (this.batch && this.batch.paused && !signal.aborted) {
+            await new Promise(resolve => {
+                this.batch.resume = resolve;
+                signal.addEventListener('abort', resolve, { once: true });
+            });
+        }
+    }
+
+    /**
+     * Wait between batch runs; returns early when the batch is cancelled
+     */
+    waitBetweenRuns(ms, signal) {
+        return new Promise(resolve => {
+            const timer = setTimeout(resolve, ms);
+            signal.addEventListener('abort', () => {
+                clearTimeout(timer);
+                resolve();
+            }, { once: true });
+        });
+    }
+
+    /**
+     * Update the cancel and pause buttons for the current execution state
+     */
+    updateExecutionControls() {
+        const cancelButton = document.getElementById('cancelTest');
+        const pauseButton = document.getElementById('pauseTest');
+
+        if (cancelButton) {
+            cancelButton.disabled = !this.abortController;
+        }
+        if (pauseButton) {
+            pauseButton.disabled = !this.batch;
+            if (!this.batch || !this.batch.paused) {
+                pauseButton.textContent = 'Pause';
+            } else {
+                pauseButton.textContent = this.batch.autoPaused ? 'Resume (paused: tab hidden)' : 'Resume';
+            }
+        }
+    }
+
+    /**
+     * Get protocol ordering, connection mode, run mode and preflight options from the UI for a run
+     */
+    getRunOptions(runIndex) {
+        const strategySelect = document.getElementById('orderingStrategy');
+        const seedInput = document.getElementById('orderingSeed');
+        const connectionModeSelect = document.getElementById('connectionMode');
+        const runModeSelect = document.getElementById('runMode');
+        const preflightSelect = document.getElementById('preflightMode');
+        const strategy = strategySelect ? strategySelect.value : 'fixed';
+        const connectionMode = connectionModeSelect ? connectionModeSelect.value : 'default';
+        const mode = runModeSelect ? runModeSelect.value : 'sequential';
+        const preflight = preflightSelect ? preflightSelect.value : this.performanceMeasurement.preflightMode;
+
+        let seed = seedInput ? parseInt(seedInput.value, 10) : NaN;
+        if (!seed) {
+            // Generate a seed and show it so the sequence can be reproduced later
+            seed = Math.floor(Math.random() * 1000000) + 1;
+            if (seedInput && strategy === 'random') {
+                seedInput.value = seed;
+            }
+        }
+
+        return { strategy, runIndex, seed, connectionMode, mode, preflight };
+    }
+
+    /**
+     * Handle run mode change
+     */
+    onRunModeChange(mode) {
+        // Show the race track (and its shared-bandwidth warning) before the first race starts
+        if (this.performanceMeasurement) {
+            this.performanceMeasurement.showRaceTrack(mode === 'race');
+        }
+
+        // Protocol order has no meaning when both protocols start together
+        const strategySelect = document.getElementById('orderingStrategy');
+        if (strategySelect) {
+            strategySelect.title = mode === 'race'
+                ? 'Ignored in race mode - both protocols start at the same instant'
+                : 'Order in which the protocols are tested within each run';
         }
     }
 
@@ -271,6 +583,16 @@ class DemoController {
         if (this.performanceMeasurement) {
             this.performanceMeasurement.resetTest();
         }
+
+        const batchResults = document.getElementById('batchResults');
+        if (batchResults) {
+            batchResults.innerHTML = '';
+            batchResults.style.display = 'none';
+        }
+
+        if (this.matrixRunner) {
+            this.matrixRunner.reset();
+        }
         
         console.log('Test reset');
     }
@@ -291,11 +613,15 @@ class DemoController {
     updateScenarioDescription(scenario) {
         if (!this.performanceMeasurement) return;
 
-        const scenarios = this.performanceMeasurement.testScenarios;
-        const scenarioInfo = scenarios[scenario];
+        const registry = this.performanceMeasurement.scenarioRegistry;
+        const descriptionElement = document.getElementById('scenarioDescription');
 
-        if (scenarioInfo) {
-            // You could add a description element to show scenario details
+        if (descriptionElement) {
+            descriptionElement.innerHTML = registry.describe(scenario);
+        }
+
+        if (registry.has(scenario)) {
+            const scenarioInfo = registry.get(scenario);
             console.log(`Selected scenario: ${scenarioInfo.name} - ${scenarioInfo.description}`);
         }
     }
@@ -440,9 +766,14 @@ class DemoController {
      */
     handleVisibilityChange() {
         if (document.hidden) {
-            console.log('Page hidden - pausing any active tests');
-        } else {
-            console.log('Page visible - resuming');
+            // The run in progress is marked invalid by PerformanceMeasurement; stop before the next one
+            if (this.batch) {
+                console.log('Page hidden - pausing batch');
+                this.pauseBatch(true);
+            }
+        } else if (this.batch && this.batch.autoPaused) {
+            console.log('Page visible - resuming batch');
+            this.resumeBatch();
         }
     }
 
@@ -458,7 +789,7 @@ class DemoController {
         if (summaryElement && contentElement) {
             contentElement.innerHTML = `
                 <div class="error-message">
-                    <strong>Error:</strong> ${message}
+                    <strong>Error:</strong> ${escapeHtml(message)}
                 </div>
             `;
             summaryElement.style.display = 'block';
@@ -483,6 +814,57 @@ class DemoController {
         }
     }
 
+    /**
+     * Export the measurements as CSV files
+     */
+    exportCsv() {
+        if (!this.performanceMeasurement) {
+            this.showError('Performance measurement not initialized');
+            return;
+        }
+
+        try {
+            this.performanceMeasurement.exportCsv();
+        } catch (error) {
+            console.error('CSV export failed:', error);
+            this.showError(`CSV export failed: ${error.message}`);
+        }
+    }
+
+    /**
+     * Export the last run, or every measured run of the last batch, as a HAR file
+     */
+    exportHar() {
+        if (!this.harExport || !this.lastRuns) {
+            this.showError('Run a test or batch before exporting HAR');
+            return;
+        }
+
+        try {
+            this.harExport.export(this.lastRuns.runs, this.lastRuns.name);
+        } catch (error) {
+            console.error('HAR export failed:', error);
+            this.showError(`HAR export failed: ${error.message}`);
+        }
+    }
+
+    /**
+     * Import a HAR file captured elsewhere and show its analysis
+     */
+    async importHar(file) {
+        if (!file || !this.harAnalysis) {
+            return;
+        }
+
+        try {
+            const analysis = await this.harAnalysis.importFile(file);
+            console.log('HAR analyzed:', analysis);
+        } catch (error) {
+            console.error('HAR import failed:', error);
+            this.showError(`HAR import failed: ${error.message}`);
+        }
+    }
+
     /**
      * Import test results
      */
@@ -503,10 +885,67 @@ class DemoController {
         }
     }
 
+    /**
+     * Merge test results from several files into the current results
+     */
+    async mergeResults(files) {
+        if (!files || files.length === 0 || !this.performanceMeasurement) {
+            return;
+        }
+
+        try {
+            const merged = await this.performanceMeasurement.mergeResults(files);
+            const added = merged.reduce((total, file) => total + file.added, 0);
+
+            this.showMergeResults(merged);
+            this.showSuccessMessage(`Merged ${merged.length} file(s), ${added} measurements added`);
+        } catch (error) {
+            console.error('Merge failed:', error);
+            this.showError(`Merge failed: ${error.message}`);
+        }
+    }
+
+    /**
+     * Show what a merge added and the load time comparison per source
+     */
+    showMergeResults(merged) {
+        const summaryElement = document.getElementById('resultsSummary');
+        const contentElement = document.getElementById('summaryContent');
+        const measurement = this.performanceMeasurement;
+
+        if (summaryElement && contentElement) {
+            contentElement.innerHTML = `
+                <div class="summary-header">
+                    <h4>Merged Results (${merged.length} file${merged.length === 1 ? '' : 's'})</h4>
+                </div>
+
+                <ul class="merge-files">
+                    ${merged.map(file => `
+                        <li>
+                            <strong>${escapeHtml(file.file)}</strong> (${escapeHtml(file.source.machine)}, ${escapeHtml(file.source.browser)}):
+                            ${file.added} measurements added${file.duplicates > 0 ? `, ${file.duplicates} duplicates skipped` : ''}
+                        </li>
+                    `).join('')}
+                </ul>
+
+                <div class="significance-results">
+                    <h5>Load Time by Source (${Math.round(measurement.statistics.confidenceLevel * 100)}% bootstrap intervals, Mann-Whitney U):</h5>
+                    ${measurement.renderSourceTable()}
+                </div>
+
+                <div class="summary-note">
+                    <small>Runs already in the results (same run ID, or same timings for older exports) are skipped.
+                    Exporting now writes the merged runs with their source.</small>
+                </div>
+            `;
+            summaryElement.style.display = 'block';
+        }
+    }
+
     /**
      * Run multiple tests for better statistical accuracy
      */
-    async runMultipleTests(count = 5) {
+    async runMultipleTests(config = this.getBatchConfig()) {
         if (!this.performanceMeasurement) {
             this.showError('Performance measurement not initialized');
             return;
@@ -515,7 +954,12 @@ class DemoController {
         const scenarioSelect = document.getElementById('testScenario');
         const scenario = scenarioSelect ? scenarioSelect.value : 'basic';
 
-        console.log(`Running ${count} tests with scenario: ${scenario}`);
+        const runOptions = { ...this.getRunOptions(0), timeout: config.timeout };
+        const total = config.warmup + config.count;
+        // Runs of one batch share an ID in the results history
+        const batchId = new Date().toISOString();
+
+        console.log(`Running ${config.count} tests (+${config.warmup} warm-up) with scenario: ${scenario} (${runOptions.mode} mode, ${runOptions.strategy} protocol order, ${runOptions.connectionMode} connections)`);
 
         // Update UI to show multiple test progress
         const startButton = document.getElementById('startTest');
@@ -524,27 +968,75 @@ class DemoController {
         if (startButton) startButton.disabled = true;
         if (multipleTestsButton) {
             multipleTestsButton.disabled = true;
-            multipleTestsButton.textContent = `Running test 1/${count}...`;
+            multipleTestsButton.textContent = `Running test 1/${total}...`;
         }
+        this.setBatchConfigDisabled(true);
+
+        this.abortController = new AbortController();
+        const signal = this.abortController.signal;
+        const rows = [];
+        const runs = [];
+        this.batch = { paused: false, autoPaused: false, resume: null, rows, total, render: () => this.renderBatchTable(rows, total) };
+        this.updateExecutionControls();
+
+        let stoppedBy = null;
+        this.renderBatchTable(rows, total);
 
         try {
-            for (let i = 0; i < count; i++) {
-                console.log(`Running test ${i + 1}/${count}`);
+            for (let i = 0; i < total; i++) {
+                await this.waitWhilePaused(signal);
+                if (signal.aborted) break;
+
+                const warmup = i < config.warmup;
+                console.log(`Running ${warmup ? 'warm-up' : 'test'} ${i + 1}/${total}`);
                 
                 if (multipleTestsButton) {
-                    multipleTestsButton.textContent = `Running test ${i + 1}/${count}...`;
+                    multipleTestsButton.textContent = `Running ${warmup ? 'warm-up' : 'test'} ${i + 1}/${total}...`;
                 }
 
-                await this.performanceMeasurement.startTest(scenario);
+                // Ordering strategies count measured runs only, so warm-ups do not shift the ABBA pattern
+                const run = await this.performanceMeasurement.startTest(scenario, {
+                    ...runOptions,
+                    runIndex: warmup ? i : i - config.warmup,
+                    record: !warmup,
+                    signal
+                });
+
+                await this.recordRun(run, batchId);
+                runs.push(run);
+
+                const row = this.createBatchRow(i + 1, warmup, run);
+                rows.push(row);
+                this.renderBatchTable(rows, total);
+
+                if (run.cancelled) break;
+
+                if (config.stopOnError && row.error) {
+                    stoppedBy = row;
+                    break;
+                }
                 
                 // Wait between tests to avoid overwhelming the servers
-                if (i < count - 1) {
-                    await new Promise(resolve => setTimeout(resolve, 2000));
+                if (i < total - 1) {
+                    await this.waitBetweenRuns(config.delay, signal);
                 }
             }
 
             // Show aggregated results
-            this.showMultipleTestResults(count);
+            const measuredRuns = rows.filter(row => !row.warmup && !row.cancelled).length;
+            if (measuredRuns > 0) {
+                this.lastRuns = { runs: runs.filter(run => run.recorded), name: 'batch' };
+                this.showMultipleTestResults(measuredRuns, scenario, config.warmup, runs);
+                if (this.regressionBaseline) {
+                    this.regressionBaseline.evaluate(runs, scenario, batchId);
+                }
+            }
+
+            if (stoppedBy) {
+                this.showError(`Batch stopped after run ${stoppedBy.index}: ${stoppedBy.error}`);
+            } else if (signal.aborted) {
+                this.showError(`Batch cancelled after ${rows.filter(row => !row.cancelled).length} of ${total} runs`);
+            }
             
         } catch (error) {
             console.error('Multiple tests failed:', error);
@@ -554,16 +1046,221 @@ class DemoController {
             if (startButton) startButton.disabled = false;
             if (multipleTestsButton) {
                 multipleTestsButton.disabled = false;
-                multipleTestsButton.textContent = 'Run 5 Tests';
             }
+            this.updateBatchButtonLabel();
+            this.setBatchConfigDisabled(false);
+            this.abortController = null;
+            this.batch = null;
+            this.updateExecutionControls();
         }
     }
 
     /**
-     * Show results from multiple tests
+     * Store a recorded run in the results history, with the network simulation it ran under
      */
-    showMultipleTestResults(testCount) {
-        const stats = this.performanceMeasurement.getStatistics();
+    recordRun(run, batchId = null) {
+        if (!this.resultsHistory) return Promise.resolve(null);
+
+        return this.resultsHistory.save(run, {
+            batchId,
+            networkSimulation: this.networkSimulation ? this.networkSimulation.currentSimulation : null
+        });
+    }
+
+    /**
+     * Run every selected scenario under every selected network profile
+     */
+    async runMatrix() {
+        if (!this.performanceMeasurement || !this.matrixRunner) {
+            this.showError('Performance measurement not initialized');
+            return;
+        }
+
+        const selection = this.matrixRunner.getSelection();
+        if (selection.scenarios.length === 0 || selection.profiles.length === 0) {
+            this.showError('Select at least one scenario and one network profile for the matrix');
+            return;
+        }
+
+        const config = this.getBatchConfig();
+        const runOptions = { ...this.getRunOptions(0), timeout: config.timeout };
+
+        console.log(`Running matrix of ${selection.scenarios.length} scenarios × ${selection.profiles.length} network profiles, ${selection.runs} runs each`);
+
+        const startButton = document.getElementById('startTest');
+        const multipleTestsButton = document.getElementById('runMultipleTests');
+        const matrixButton = document.getElementById('runMatrix');
+
+        if (startButton) startButton.disabled = true;
+        if (multipleTestsButton) multipleTestsButton.disabled = true;
+        if (matrixButton) {
+            matrixButton.disabled = true;
+            matrixButton.textContent = 'Running Matrix...';
+        }
+        this.setBatchConfigDisabled(true);
+
+        this.abortController = new AbortController();
+        const signal = this.abortController.signal;
+        this.batch = { paused: false, autoPaused: false, resume: null, render: () => this.matrixRunner.render(this.batch.paused) };
+        this.updateExecutionControls();
+
+        try {
+            const matrix = await this.matrixRunner.run(selection, {
+                signal,
+                runOptions,
+                delay: config.delay,
+                beforeRun: () => this.waitWhilePaused(signal)
+            });
+
+            if (signal.aborted) {
+                this.showError(`Matrix cancelled after ${matrix.completed} of ${matrix.total} runs`);
+            }
+        } catch (error) {
+            console.error('Matrix run failed:', error);
+            this.showError(`Matrix run failed: ${error.message}`);
+        } finally {
+            if (startButton) startButton.disabled = false;
+            if (multipleTestsButton) multipleTestsButton.disabled = false;
+            if (matrixButton) {
+                matrixButton.disabled = false;
+                matrixButton.textContent = 'Run Matrix';
+            }
+            this.updateBatchButtonLabel();
+            this.setBatchConfigDisabled(false);
+            this.abortController = null;
+            this.batch = null;
+            this.updateExecutionControls();
+        }
+    }
+
+    /**
+     * Read the batch configuration from the UI, clamped to sensible ranges
+     */
+    getBatchConfig() {
+        const readNumber = (id, fallback, min, max) => {
+            const input = document.getElementById(id);
+            const value = input ? parseInt(input.value, 10) : NaN;
+            return isNaN(value) ? fallback : Math.min(max, Math.max(min, value));
+        };
+        const stopOnErrorInput = document.getElementById('batchStopOnError');
+
+        return {
+            count: readNumber('batchCount', 5, 1, 200),
+            warmup: readNumber('batchWarmup', 0, 0, 20),
+            delay: readNumber('batchDelay', 2000, 0, 60000),
+            timeout: readNumber('batchTimeout', 10000, 1000, 120000),
+            stopOnError: stopOnErrorInput ? stopOnErrorInput.checked : false
+        };
+    }
+
+    /**
+     * Update the batch button label to the configured run count
+     */
+    updateBatchButtonLabel() {
+        const multipleTestsButton = document.getElementById('runMultipleTests');
+        if (multipleTestsButton && !multipleTestsButton.disabled) {
+            multipleTestsButton.textContent = `Run ${this.getBatchConfig().count} Tests`;
+        }
+    }
+
+    /**
+     * Enable or disable the batch configuration inputs
+     */
+    setBatchConfigDisabled(disabled) {
+        document.querySelectorAll('#batchConfig input, #matrixConfig input').forEach(input => {
+            input.disabled = disabled;
+        });
+    }
+
+    /**
+     * Summarize a finished run for the batch results table
+     */
+    createBatchRow(index, warmup, run) {
+        const http2 = run.results.http2;
+        const http3 = run.results.http3;
+        const errors = [run.error]
+            .concat(http2 ? http2.errors.map(error => `HTTP/2: ${error}`) : [])
+            .concat(http3 ? http3.errors.map(error => `HTTP/3: ${error}`) : [])
+            .filter(Boolean);
+
+        let faster = '-';
+        if (http2 && http3 && errors.length === 0) {
+            faster = http2.loadTime < http3.loadTime ? 'HTTP/2' : 'HTTP/3';
+        }
+
+        return {
+            index,
+            warmup,
+            cancelled: run.cancelled,
+            invalid: [http2, http3].some(result => result && result.valid === false),
+            order: run.order ? run.order.sequence.map(protocol => protocol === 'http2' ? 'H2' : 'H3').join('→') : run.mode,
+            http2: http2 ? http2.loadTime : null,
+            http3: http3 ? http3.loadTime : null,
+            negotiated: http3 ? http3.protocolVerified : null,
+            faster,
+            error: errors[0] || null
+        };
+    }
+
+    /**
+     * Render the live per-run results table of a batch
+     */
+    renderBatchTable(rows, total) {
+        const container = document.getElementById('batchResults');
+        if (!container) return;
+
+        const formatTime = (value) => typeof value === 'number' ? `${value.toFixed(0)}ms` : '-';
+        const formatVerified = (value) => value === true ? 'h3 ✓' : value === false ? 'not h3' : '?';
+
+        const body = rows.map(row => `
+            <tr class="${row.warmup ? 'warmup' : ''} ${row.error ? 'error' : ''} ${row.invalid || row.cancelled ? 'invalid' : ''}">
+                <td>${row.index}${row.warmup ? ' (warm-up)' : ''}</td>
+                <td>${row.order}</td>
+                <td>${formatTime(row.http2)}</td>
+                <td>${formatTime(row.http3)}</td>
+                <td>${row.faster}</td>
+                <td>${formatVerified(row.negotiated)}</td>
+                <td>${row.cancelled ? 'Cancelled' : row.error ? escapeHtml(row.error) : row.invalid ? 'Invalid (tab hidden)' : 'OK'}</td>
+            </tr>
+        `).join('');
+
+        container.innerHTML = `
+            <h5>Batch Progress: ${rows.length}/${total} runs${this.batch && this.batch.paused ? ' (paused)' : ''}</h5>
+            <table class="batch-table">
+                <thead>
+                    <tr>
+                        <th>Run</th>
+                        <th>Order</th>
+                        <th>HTTP/2</th>
+                        <th>HTTP/3</th>
+                        <th>Faster</th>
+                        <th>HTTP/3 Negotiated</th>
+                        <th>Status</th>
+                    </tr>
+                </thead>
+                <tbody>${body}</tbody>
+            </table>
+        `;
+        container.style.display = 'block';
+    }
+
+    /**
+     * Show results from multiple tests, computed from the measured runs of this batch only
+     */
+    showMultipleTestResults(testCount, scenario, warmupCount = 0, runs = []) {
+        const measurement = this.performanceMeasurement;
+        // The same runs startTest stored in the session measurements
+        const stored = runs.filter(run => run.recorded && !run.cancelled && !run.error);
+        const measurements = {
+            http2: stored.map(run => run.results.http2).filter(Boolean),
+            http3: stored.map(run => run.results.http3).filter(Boolean)
+        };
+        const stats = {
+            http2: measurement.calculateStats(measurements.http2.filter(m => m.valid !== false)),
+            http3: measurement.calculateStats(measurements.http3.filter(m => m.valid !== false))
+        };
+        const significance = measurement.getSignificance(scenario, measurements);
+        const percentiles = measurement.getPercentiles(scenario, measurements);
         
         const summaryElement = document.getElementById('resultsSummary');
         const contentElement = document.getElementById('summaryContent');
@@ -571,7 +1268,7 @@ class DemoController {
         if (summaryElement && contentElement) {
             contentElement.innerHTML = `
                 <div class="summary-header">
-                    <h4>Multiple Test Results (${testCount} tests)</h4>
+                    <h4>Multiple Test Results (${testCount} tests${warmupCount > 0 ? `, ${warmupCount} warm-up discarded` : ''})</h4>
                 </div>
                 
                 <div class="multiple-test-stats">
@@ -591,6 +1288,16 @@ class DemoController {
                         <p>Std Dev: ${stats.http3.stdDev.toFixed(0)}ms</p>
                     </div>
                 </div>
+
+                <div class="percentile-results">
+                    <h5>Percentile Distribution:</h5>
+                    ${this.performanceMeasurement.renderPercentileTable(percentiles)}
+                </div>
+
+                <div class="significance-results">
+                    <h5>Significance (${Math.round(this.performanceMeasurement.statistics.confidenceLevel * 100)}% bootstrap intervals, Mann-Whitney U):</h5>
+                    ${this.performanceMeasurement.renderSignificanceTable(significance)}
+                </div>
                 
                 <div class="summary-note">
                     <small>Multiple tests provide more reliable performance comparisons by reducing the impact of network variations.</small>
@@ -0,0 +1,351 @@
+/**
+ * HAR Analysis Module
+ * Imports HAR files captured from real sites and summarizes how they use the network, to judge whether HTTP/3 would help
+ */
+
+class HarAnalysis {
+    constructor(performanceMeasurement) {
+        this.performanceMeasurement = performanceMeasurement;
+        this.protocolLabels = { h1: 'HTTP/1.x', h2: 'HTTP/2', h3: 'HTTP/3', unknown: 'Unknown' };
+        // Width and height of the concurrency plot in SVG units
+        this.plotWidth = 400;
+        this.plotHeight = 120;
+        this.har = null;
+        this.source = null;
+    }
+
+    /**
+     * Read and analyze a HAR file, showing the analysis in the results summary
+     */
+    async importFile(file) {
+        const text = await this.performanceMeasurement.readFile(file);
+        this.har = this.parse(text, file.name);
+        this.source = file.name;
+
+        const pages = this.har.log.pages || [];
+        const first = pages.find(page => this.har.log.entries.some(entry => entry.pageref === page.id));
+        const analysis = this.analyze(this.har, pages.length > 1 && first ? first.id : null);
+        this.show(analysis);
+        return analysis;
+    }
+
+    /**
+     * Parse a HAR file, rejecting anything without a list of entries
+     */
+    parse(text, source = 'HAR file') {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (error) {
+            throw new Error(`${source} is not valid JSON: ${error.message}`);
+        }
+
+        if (!data || !data.log || !Array.isArray(data.log.entries)) {
+            throw new Error(`${source} is not a HAR file: it has no log.entries list`);
+        }
+        if (data.log.entries.length === 0) {
+            throw new Error(`${source} has no entries`);
+        }
+        return data;
+    }
+
+    /**
+     * Map a HAR httpVersion to h1, h2, h3 or unknown; DevTools spell these differently per browser
+     */
+    normalizeVersion(httpVersion) {
+        const version = String(httpVersion || '').toLowerCase();
+        if (version.startsWith('h3') || version.includes('http/3') || version.includes('quic')) return 'h3';
+        if (version === 'h2' || version.startsWith('http/2')) return 'h2';
+        if (version.startsWith('http/1')) return 'h1';
+        return 'unknown';
+    }
+
+    /**
+     * Read the non-negative value of a HAR timing phase (-1 means the phase does not apply)
+     */
+    getPhase(timings, phase) {
+        const value = timings ? timings[phase] : undefined;
+        return typeof value === 'number' && value > 0 ? value : 0;
+    }
+
+    /**
+     * Summarize the entries of a HAR file, or of one of its pages
+     */
+    analyze(har, pageId = null) {
+        const pages = har.log.pages || [];
+        // A single page describes every entry, so its timings apply even without picking it
+        const page = pageId ? pages.find(candidate => candidate.id === pageId) || null : pages.length === 1 ? pages[0] : null;
+        const entries = har.log.entries
+            .filter(entry => !pageId || entry.pageref === pageId)
+            .map(entry => {
+                const start = Date.parse(entry.startedDateTime);
+                const time = typeof entry.time === 'number' && entry.time > 0 ? entry.time : 0;
+                return { entry, start, end: start + time, time, protocol: this.normalizeVersion(entry.response && entry.response.httpVersion || entry.request && entry.request.httpVersion) };
+            })
+            .filter(item => !isNaN(item.start));
+
+        if (entries.length === 0) {
+            throw new Error('The HAR page has no entries with a valid start time');
+        }
+
+        const first = Math.min(...entries.map(item => item.start));
+        const last = Math.max(...entries.map(item => item.end));
+        const onLoad = page && page.pageTimings && page.pageTimings.onLoad > 0 ? page.pageTimings.onLoad : null;
+
+        // Protocol mix by requests and by bytes
+        const mix = {};
+        entries.forEach(item => {
+            const response = item.entry.response || {};
+            const bytes = response.bodySize > 0 ? response.bodySize : response.content && response.content.size > 0 ? response.content.size : 0;
+            const share = mix[item.protocol] || (mix[item.protocol] = { requests: 0, bytes: 0, connections: 0 });
+            share.requests++;
+            share.bytes += bytes;
+            // An entry with a connect phase opened a new connection
+            if (this.getPhase(item.entry.timings, 'connect') > 0) share.connections++;
+        });
+
+        const connectionIds = new Set(entries.map(item => item.entry.connection).filter(Boolean));
+        const newConnections = Object.values(mix).reduce((sum, share) => sum + share.connections, 0);
+
+        // Time spent in each phase, summed over all requests
+        const phases = { blocked: 0, dns: 0, connect: 0, send: 0, wait: 0, receive: 0 };
+        entries.forEach(item => {
+            Object.keys(phases).forEach(phase => {
+                phases[phase] += this.getPhase(item.entry.timings, phase);
+            });
+        });
+        const requestTime = Object.values(phases).reduce((sum, value) => sum + value, 0);
+        const share = (value) => requestTime > 0 ? value / requestTime * 100 : 0;
+        const statistics = this.performanceMeasurement.statistics;
+
+        return {
+            source: this.source,
+            page: page ? { id: page.id, title: page.title || page.id } : null,
+            // Pages without entries (e.g. a navigation that was still loading) cannot be analyzed
+            pages: pages
+                .filter(candidate => har.log.entries.some(entry => entry.pageref === candidate.id))
+                .map(candidate => ({ id: candidate.id, title: candidate.title || candidate.id })),
+            requests: entries.length,
+            duration: last - first,
+            onLoad,
+            mix,
+            connections: { opened: newConnections, ids: connectionIds.size },
+            concurrency: this.getConcurrency(entries, first),
+            phases,
+            requestTime,
+            setupShare: share(phases.dns + phases.connect),
+            blockedShare: share(phases.blocked),
+            waitShare: share(phases.wait),
+            transferShare: share(phases.send + phases.receive),
+            medianBlocked: statistics.median(entries.map(item => this.getPhase(item.entry.timings, 'blocked'))),
+            medianWait: statistics.median(entries.map(item => this.getPhase(item.entry.timings, 'wait')))
+        };
+    }
+
+    /**
+     * Count requests in flight over time, as a step series starting at the first request
+     */
+    getConcurrency(entries, first) {
+        const events = [];
+        entries.forEach(item => {
+            events.push({ time: item.start - first, change: 1 });
+            events.push({ time: item.end - first, change: -1 });
+        });
+        // Ends before starts at the same instant, so back-to-back requests do not count as overlapping
+        events.sort((a, b) => a.time - b.time || a.change - b.change);
+
+        const series = [{ time: 0, active: 0 }];
+        let active = 0;
+        let peak = 0;
+        let weighted = 0;
+        events.forEach(event => {
+            weighted += active * (event.time - series[series.length - 1].time);
+            active += event.change;
+            peak = Math.max(peak, active);
+            series.push({ time: event.time, active });
+        });
+
+        const span = events.length > 0 ? events[events.length - 1].time : 0;
+        return { series, peak, average: span > 0 ? weighted / span : active };
+    }
+
+    /**
+     * Show an analysis in the results summary, using the same layout as a test run
+     */
+    show(analysis) {
+        const summaryElement = document.getElementById('resultsSummary');
+        const contentElement = document.getElementById('summaryContent');
+        if (!summaryElement || !contentElement) return;
+
+        const measurement = this.performanceMeasurement;
+        const protocols = Object.keys(analysis.mix).sort((a, b) => analysis.mix[b].requests - analysis.mix[a].requests);
+        const main = protocols[0];
+        const percent = (value, total) => total > 0 ? `${(value / total * 100).toFixed(0)}%` : '-';
+        const totalBytes = protocols.reduce((sum, protocol) => sum + analysis.mix[protocol].bytes, 0);
+        const row = (name, value, detail = '') => `
+            <div class="metric-row">
+                <span class="metric-name">${name}:</span>
+                <span class="metric-value">${value}</span>
+                <span class="metric-value">${detail}</span>
+            </div>
+        `;
+
+        contentElement.innerHTML = `
+            <div class="summary-header">
+                <h4>HAR Analysis: ${escapeHtml(analysis.source || 'imported file')}</h4>
+                ${analysis.pages.length > 1 ? `
+                    <p class="summary-order">Page
+                        <select id="harPage" class="scenario-select">
+                            ${analysis.pages.map(page => `<option value="${escapeHtml(page.id)}"${analysis.page && analysis.page.id === page.id ? ' selected' : ''}>${escapeHtml(page.title)}</option>`).join('')}
+                        </select>
+                    </p>
+                ` : analysis.page ? `<p class="summary-order">${escapeHtml(analysis.page.title)}</p>` : ''}
+            </div>
+
+            <div class="summary-winner">
+                <strong>${analysis.requests}</strong> requests, mostly over <strong>${this.protocolLabels[main]}</strong>
+                (${percent(analysis.mix[main].requests, analysis.requests)}); connection setup is
+                <strong>${analysis.setupShare.toFixed(0)}%</strong> of request time, transfer <strong>${analysis.transferShare.toFixed(0)}%</strong>
+            </div>
+
+            <div class="summary-metrics">
+                <h5>Protocol Mix:</h5>
+                <div class="metric-comparison">
+                    ${protocols.map(protocol => row(
+                        this.protocolLabels[protocol],
+                        `${analysis.mix[protocol].requests} requests (${percent(analysis.mix[protocol].requests, analysis.requests)})`,
+                        `${(analysis.mix[protocol].bytes / 1024).toFixed(1)} KB (${percent(analysis.mix[protocol].bytes, totalBytes)}), ${analysis.mix[protocol].connections} new connections`
+                    )).join('')}
+                </div>
+            </div>
+
+            <div class="summary-metrics">
+                <h5>Connections and Timing:</h5>
+                <div class="metric-comparison">
+                    ${row('Connections Opened', analysis.connections.opened, analysis.connections.ids > 0 ? `${analysis.connections.ids} connection IDs in the HAR` : 'no connection IDs in the HAR')}
+                    ${row('Duration', measurement.formatMetricValue(analysis.duration, 'ms'), analysis.onLoad ? `onLoad ${measurement.formatMetricValue(analysis.onLoad, 'ms')}` : '')}
+                    ${row('Concurrency', `peak ${analysis.concurrency.peak}`, `average ${analysis.concurrency.average.toFixed(1)} in flight`)}
+                    ${row('Blocked', `${analysis.blockedShare.toFixed(0)}% of request time`, `median ${measurement.formatMetricValue(analysis.medianBlocked, 'ms')} per request`)}
+                    ${row('Waiting (TTFB)', `${analysis.waitShare.toFixed(0)}% of request time`, `median ${measurement.formatMetricValue(analysis.medianWait, 'ms')} per request`)}
+                    ${row('Connection Setup', `${analysis.setupShare.toFixed(0)}% of request time`, `DNS ${measurement.formatMetricValue(analysis.phases.dns, 'ms')}, connect ${measurement.formatMetricValue(analysis.phases.connect, 'ms')} in total`)}
+                    ${row('Transfer', `${analysis.transferShare.toFixed(0)}% of request time`, `send and receive ${measurement.formatMetricValue(analysis.phases.send + analysis.phases.receive, 'ms')} in total`)}
+                </div>
+                ${this.renderPhaseBar(analysis)}
+            </div>
+
+            <div class="summary-metrics">
+                <h5>Requests in Flight:</h5>
+                ${this.renderConcurrencyPlot(analysis)}
+            </div>
+
+            <div class="summary-insights">
+                <h5>Would HTTP/3 Help?</h5>
+                <ul>
+                    ${this.generateInsights(analysis)}
+                </ul>
+            </div>
+
+            <div class="summary-note">
+                <small>Shares are of the time summed over all requests, so overlapping requests count separately.
+                HAR timings come from the capturing browser; entries served from cache or without timings add no phase time.</small>
+            </div>
+        `;
+        summaryElement.style.display = 'block';
+
+        const pageSelect = document.getElementById('harPage');
+        if (pageSelect) {
+            pageSelect.addEventListener('change', (e) => this.show(this.analyze(this.har, e.target.value)));
+        }
+    }
+
+    /**
+     * Render the share of each phase as one stacked bar
+     */
+    renderPhaseBar(analysis) {
+        if (analysis.requestTime === 0) return '';
+
+        const segments = [
+            ['blocked', 'Blocked', analysis.phases.blocked],
+            ['setup', 'DNS + connect', analysis.phases.dns + analysis.phases.connect],
+            ['wait', 'Wait', analysis.phases.wait],
+            ['transfer', 'Send + receive', analysis.phases.send + analysis.phases.receive]
+        ].filter(([, , value]) => value > 0);
+
+        return `
+            <div class="har-phases">
+                ${segments.map(([key, label, value]) => `<span class="har-phase ${key}" style="width: ${(value / analysis.requestTime * 100).toFixed(1)}%;" title="${label}: ${(value / analysis.requestTime * 100).toFixed(0)}%"></span>`).join('')}
+            </div>
+            <div class="har-phase-key">
+                ${segments.map(([key, label]) => `<span><span class="har-phase ${key}"></span>${label}</span>`).join('')}
+            </div>
+        `;
+    }
+
+    /**
+     * Plot the number of requests in flight over the page load as a step line
+     */
+    renderConcurrencyPlot(analysis) {
+        const { series, peak } = analysis.concurrency;
+        const span = series[series.length - 1].time;
+        if (span <= 0 || peak === 0) {
+            return '<p class="race-curves-empty">Not enough timing data to plot</p>';
+        }
+
+        const toX = (time) => (time / span * this.plotWidth).toFixed(1);
+        const toY = (active) => (this.plotHeight - active / peak * this.plotHeight).toFixed(1);
+        const points = series.map((point, index) => {
+            const previous = index > 0 ? series[index - 1].active : 0;
+            return `${toX(point.time)},${toY(previous)} ${toX(point.time)},${toY(point.active)}`;
+        }).join(' ');
+
+        return `
+            <svg class="race-curves" viewBox="0 0 ${this.plotWidth} ${this.plotHeight}" preserveAspectRatio="none" role="img" aria-label="Requests in flight over time">
+                <polyline class="curve-http3" points="${points}"></polyline>
+            </svg>
+            <div class="race-curves-axis">
+                <span>0ms</span>
+                <span>peak ${peak} requests in flight</span>
+                <span>${this.performanceMeasurement.formatMetricValue(span, 'ms')}</span>
+            </div>
+        `;
+    }
+
+    /**
+     * Generate hints about what HTTP/3 could change for the analyzed page
+     */
+    generateInsights(analysis) {
+        const insights = [];
+        const share = (protocol) => analysis.mix[protocol] ? analysis.mix[protocol].requests / analysis.requests * 100 : 0;
+
+        if (share('h3') >= 50) {
+            insights.push(`<li>${share('h3').toFixed(0)}% of requests already use HTTP/3 - compare against a capture with QUIC disabled to see what it adds</li>`);
+        }
+        if (share('h1') >= 25) {
+            insights.push(`<li>${share('h1').toFixed(0)}% of requests use HTTP/1.x - moving those origins to HTTP/2 or HTTP/3 brings multiplexing, which matters more than the transport</li>`);
+        }
+        if (analysis.setupShare >= 15) {
+            insights.push(`<li>Connection setup is ${analysis.setupShare.toFixed(0)}% of request time over ${analysis.connections.opened} new connections - QUIC combines the transport and TLS handshakes and can resume with 0-RTT, so HTTP/3 likely helps</li>`);
+        } else if (analysis.connections.opened > 0) {
+            insights.push(`<li>Connection setup is only ${analysis.setupShare.toFixed(0)}% of request time - faster handshakes would save little on this page</li>`);
+        }
+        if (analysis.blockedShare >= 20 && share('h2') >= 50) {
+            insights.push(`<li>Requests spend ${analysis.blockedShare.toFixed(0)}% of their time blocked while mostly on HTTP/2 - with packet loss, TCP head-of-line blocking stalls every stream, which HTTP/3 avoids</li>`);
+        }
+        if (analysis.waitShare >= 40) {
+            insights.push(`<li>Waiting for the server is ${analysis.waitShare.toFixed(0)}% of request time - server response time, not the protocol, dominates</li>`);
+        }
+        if (analysis.transferShare >= 50) {
+            insights.push(`<li>Transfer is ${analysis.transferShare.toFixed(0)}% of request time - the page is bandwidth-bound, where HTTP/3 gains mostly come from better loss recovery</li>`);
+        }
+        if (analysis.concurrency.peak <= 2 && analysis.requests > 10) {
+            insights.push(`<li>At most ${analysis.concurrency.peak} requests were in flight - requests are discovered one after another, so multiplexing has little to work with</li>`);
+        }
+
+        return insights.length > 0 ? insights.join('') : '<li>No clear signal either way - test the site with this demo\'s scenarios for a direct comparison</li>';
+    }
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = HarAnalysis;
+}
\ No newline at end of file
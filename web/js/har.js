@@ -0,0 +1,207 @@
+/**
+ * HAR Export Module
+ * Builds HAR 1.2 archives from the resource timings of test runs, one page per protocol run
+ */
+
+class HarExport {
+    constructor(performanceMeasurement) {
+        this.performanceMeasurement = performanceMeasurement;
+        this.version = '1.2';
+        this.creator = { name: 'h2-vs-h3', version: '1.0' };
+        // HAR httpVersion per negotiated protocol, spelled the way browser DevTools export it
+        this.httpVersions = {
+            h3: 'h3',
+            h2: 'http/2.0',
+            'http/1.1': 'http/1.1',
+            'http/1.0': 'http/1.0'
+        };
+        this.mimeTypes = {
+            html: 'text/html',
+            css: 'text/css',
+            js: 'application/javascript',
+            json: 'application/json',
+            xml: 'application/xml',
+            txt: 'text/plain',
+            jpg: 'image/jpeg',
+            jpeg: 'image/jpeg',
+            png: 'image/png',
+            gif: 'image/gif',
+            svg: 'image/svg+xml',
+            webp: 'image/webp',
+            woff: 'font/woff',
+            woff2: 'font/woff2',
+            ttf: 'font/ttf',
+            otf: 'font/otf'
+        };
+    }
+
+    /**
+     * Build a HAR archive with a page for every protocol run of the given test runs
+     */
+    build(runs, timeOrigin = performance.timeOrigin) {
+        const results = [];
+        runs.filter(run => !run.cancelled).forEach(run => {
+            ['http2', 'http3'].forEach(protocol => {
+                if (run.results[protocol]) results.push(run.results[protocol]);
+            });
+        });
+        // Pages appear in the order they were loaded
+        results.sort((a, b) => a.startTime - b.startTime);
+
+        const pages = [];
+        const entries = [];
+        results.forEach((result, index) => {
+            const page = this.createPage(result, `page_${index + 1}`, timeOrigin);
+            pages.push(page);
+            (result.resources || []).forEach(resource => entries.push(this.createEntry(resource, result, page, timeOrigin)));
+        });
+
+        const browser = this.performanceMeasurement.getBrowserName(navigator.userAgent);
+        return {
+            log: {
+                version: this.version,
+                creator: this.creator,
+                browser: { name: browser.browser, version: String(browser.version) },
+                pages,
+                entries,
+                comment: 'Built from Resource Timing entries; headers, cookies and bodies are not available to the dashboard.'
+            }
+        };
+    }
+
+    /**
+     * Describe one protocol run as a HAR page
+     */
+    createPage(result, id, timeOrigin) {
+        const name = result.protocol === 'http2' ? 'HTTP/2' : 'HTTP/3';
+        const details = [`scenario ${result.scenario}`, `${result.connectionMode || 'default'} connections`];
+        if (result.navigationProtocol) details.push(`negotiated ${result.navigationProtocol}`);
+        if (result.valid === false) details.push('invalid');
+
+        return {
+            startedDateTime: new Date(timeOrigin + result.startTime).toISOString(),
+            id,
+            title: `${name}: ${result.url || result.scenario}`,
+            pageTimings: {
+                // The dashboard records when DOMContentLoaded ran for, not when it fired
+                onContentLoad: -1,
+                onLoad: result.loadTime
+            },
+            comment: details.join(', '),
+            _runId: result.runId || null,
+            _protocol: result.protocol,
+            _scenario: result.scenario
+        };
+    }
+
+    /**
+     * Describe one resource timing entry as a HAR entry
+     */
+    createEntry(resource, result, page, timeOrigin) {
+        const timings = this.getTimings(resource);
+        const httpVersion = this.getHttpVersion(resource.nextHopProtocol);
+        const size = typeof resource.size === 'number' ? resource.size : -1;
+        let queryString = [];
+        try {
+            queryString = Array.from(new URL(resource.name).searchParams, ([name, value]) => ({ name, value }));
+        } catch (error) {
+            // Names that are not absolute URLs have no query string to list
+        }
+
+        return {
+            pageref: page.id,
+            startedDateTime: new Date(timeOrigin + result.startTime + (resource.startTime || 0)).toISOString(),
+            time: Object.values(timings).filter(value => value > 0).reduce((sum, value) => sum + value, 0),
+            request: {
+                method: 'GET',
+                url: resource.name,
+                httpVersion,
+                cookies: [],
+                headers: [],
+                queryString,
+                headersSize: -1,
+                bodySize: 0
+            },
+            response: {
+                // Resource Timing only reports the status in recent browsers; 0 means unknown
+                status: resource.responseStatus || 0,
+                statusText: '',
+                httpVersion,
+                cookies: [],
+                headers: [],
+                content: { size, mimeType: this.getMimeType(resource.name) },
+                redirectURL: '',
+                headersSize: -1,
+                bodySize: size
+            },
+            cache: {},
+            timings,
+            _resourceType: resource.type || 'other',
+            _connectionReused: resource.connectionReused === undefined ? null : resource.connectionReused
+        };
+    }
+
+    /**
+     * Split a resource timing entry into HAR phases; -1 marks phases the entry does not reveal
+     */
+    getTimings(resource) {
+        const duration = Math.max(0, resource.duration || 0);
+
+        // Cross-origin entries without Timing-Allow-Origin only reveal their duration
+        if (!resource.requestStart) {
+            return { blocked: -1, dns: -1, connect: -1, ssl: -1, send: 0, wait: 0, receive: duration };
+        }
+
+        const connect = resource.connectEnd > resource.connectStart ? resource.connectEnd - resource.connectStart : -1;
+        const queuedUntil = connect > 0 ? resource.connectStart : resource.requestStart;
+
+        return {
+            blocked: Math.max(0, queuedUntil - resource.startTime),
+            dns: -1,
+            connect,
+            ssl: -1,
+            send: 0,
+            wait: Math.max(0, resource.responseStart - resource.requestStart),
+            receive: Math.max(0, resource.responseEnd - resource.responseStart)
+        };
+    }
+
+    /**
+     * Get the HAR httpVersion of a negotiated protocol (nextHopProtocol)
+     */
+    getHttpVersion(nextHopProtocol) {
+        const protocol = this.performanceMeasurement.normalizeProtocol(nextHopProtocol);
+        if (protocol === 'unknown') return '';
+        return this.httpVersions[protocol] || protocol;
+    }
+
+    /**
+     * Guess a MIME type from a URL's extension
+     */
+    getMimeType(url) {
+        const path = url.split(/[?#]/)[0];
+        const extension = path.split('.').pop().toLowerCase();
+        return this.mimeTypes[extension] || 'x-unknown';
+    }
+
+    /**
+     * Download test runs as a HAR file
+     */
+    export(runs, name = 'run') {
+        const har = this.build(runs);
+        if (har.log.pages.length === 0) {
+            throw new Error('There is no completed run to export');
+        }
+
+        const measurement = this.performanceMeasurement;
+        measurement.downloadFile(JSON.stringify(har, null, 2), 'application/json', `http-performance-${name}-${measurement.getExportStamp()}.har`);
+
+        console.log(`Exported ${har.log.pages.length} pages with ${har.log.entries.length} entries as HAR`);
+        return har;
+    }
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = HarExport;
+}
\ No newline at end of file
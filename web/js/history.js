@@ -0,0 +1,515 @@
+/**
+ * Results History Module
+ * Stores every recorded run in IndexedDB and lets past runs be filtered, tagged, re-opened and analyzed together
+ */
+
+class ResultsHistory {
+    constructor(performanceMeasurement) {
+        this.performanceMeasurement = performanceMeasurement;
+        this.dbName = 'h2-vs-h3';
+        this.dbVersion = 1;
+        this.storeName = 'runs';
+        this.dbPromise = null;
+        this.available = typeof indexedDB !== 'undefined';
+        // All stored runs, newest first, and the IDs ticked in the history table
+        this.records = [];
+        this.selected = new Set();
+        this.filters = { scenario: '', tag: '', from: '' };
+
+        this.init();
+    }
+
+    /**
+     * Set up the history controls and load the stored runs
+     */
+    init() {
+        this.attachEventListeners();
+
+        if (!this.available) {
+            this.showStatus('IndexedDB is not available in this browser, runs are not kept across reloads', 'error');
+            return;
+        }
+
+        this.refresh();
+    }
+
+    /**
+     * Attach event listeners to the history controls
+     */
+    attachEventListeners() {
+        const bind = (id, event, handler) => {
+            const element = document.getElementById(id);
+            if (element) element.addEventListener(event, handler);
+        };
+
+        bind('historyScenario', 'change', (e) => this.setFilter('scenario', e.target.value));
+        bind('historyTagFilter', 'change', (e) => this.setFilter('tag', e.target.value));
+        bind('historyFrom', 'change', (e) => this.setFilter('from', e.target.value));
+        bind('historySelectAll', 'click', () => this.selectAll());
+        bind('historyAnalyze', 'click', () => this.analyzeSelected());
+        bind('historyAddTag', 'click', () => this.tagSelected(true));
+        bind('historyRemoveTag', 'click', () => this.tagSelected(false));
+        bind('historyDelete', 'click', () => this.deleteSelected());
+
+        const table = document.getElementById('historyRuns');
+        if (table) {
+            table.addEventListener('change', (e) => {
+                if (e.target.classList.contains('history-select')) {
+                    const id = parseInt(e.target.dataset.id, 10);
+                    if (e.target.checked) this.selected.add(id); else this.selected.delete(id);
+                    this.updateSelectionCount();
+                }
+            });
+            table.addEventListener('click', (e) => {
+                if (e.target.classList.contains('history-open')) {
+                    this.open(parseInt(e.target.dataset.id, 10));
+                }
+            });
+        }
+    }
+
+    /**
+     * Open the database, creating the run store on first use
+     */
+    openDatabase() {
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve, reject) => {
+                const request = indexedDB.open(this.dbName, this.dbVersion);
+                request.onupgradeneeded = () => {
+                    const db = request.result;
+                    if (!db.objectStoreNames.contains(this.storeName)) {
+                        const store = db.createObjectStore(this.storeName, { keyPath: 'id', autoIncrement: true });
+                        store.createIndex('timestamp', 'timestamp');
+                        store.createIndex('scenario', 'scenario');
+                    }
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error || new Error('Could not open the results database'));
+            });
+            // Let a later call try again, e.g. after the user allowed storage
+            this.dbPromise.catch(() => {
+                this.dbPromise = null;
+            });
+        }
+        return this.dbPromise;
+    }
+
+    /**
+     * Run an operation on the run store and resolve with its request's result once the transaction commits
+     */
+    async transaction(mode, operation) {
+        const db = await this.openDatabase();
+
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(this.storeName, mode);
+            const request = operation(transaction.objectStore(this.storeName));
+            let result;
+
+            if (request) {
+                request.onsuccess = () => {
+                    result = request.result;
+                };
+            }
+            transaction.oncomplete = () => resolve(result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error || new Error('Results database transaction aborted'));
+        });
+    }
+
+    /**
+     * Build the stored form of a finished run
+     */
+    createRecord(run, context = {}) {
+        const compatibility = window.protocolCompatibility;
+        const browser = compatibility && compatibility.browser ? compatibility.browser : {};
+        const scenario = this.performanceMeasurement.scenarioRegistry.has(run.scenario)
+            ? this.performanceMeasurement.scenarioRegistry.get(run.scenario)
+            : null;
+
+        // Results are plain data; the round trip drops anything IndexedDB cannot clone
+        const results = JSON.parse(JSON.stringify(run.results));
+
+        return {
+            timestamp: new Date().toISOString(),
+            scenario: run.scenario,
+            scenarioName: scenario ? scenario.name : run.scenario,
+            mode: run.mode,
+            connectionMode: run.connectionMode,
+            order: run.order,
+            race: run.race,
+            // The outcome is enough for the insights of a re-opened run; the per-resource checks are left out
+            preflight: run.preflight ? { valid: run.preflight.valid, errors: run.preflight.errors, warnings: run.preflight.warnings } : null,
+            batchId: context.batchId || null,
+            networkSimulation: context.networkSimulation ? { ...context.networkSimulation } : null,
+            browser: {
+                name: browser.browser || 'Unknown',
+                version: browser.version || 'Unknown',
+                userAgent: navigator.userAgent,
+                platform: navigator.platform,
+                language: navigator.language
+            },
+            valid: ['http2', 'http3'].every(protocol => results[protocol] && this.performanceMeasurement.isComparableMeasurement(results[protocol])),
+            tags: [],
+            results
+        };
+    }
+
+    /**
+     * Store a finished run; runs without both results (cancelled or failed) are skipped
+     */
+    async save(run, context = {}) {
+        if (!this.available || !run.recorded || run.cancelled || !run.results.http2 || !run.results.http3) {
+            return null;
+        }
+
+        try {
+            const record = this.createRecord(run, context);
+            record.id = await this.transaction('readwrite', store => store.add(record));
+            this.records.unshift(record);
+            this.render();
+            return record;
+        } catch (error) {
+            console.warn('Could not store run in history:', error);
+            this.showStatus(`Could not store run: ${error.message}`, 'error');
+            return null;
+        }
+    }
+
+    /**
+     * Reload the stored runs from the database
+     */
+    async refresh() {
+        try {
+            const records = await this.transaction('readonly', store => store.getAll());
+            this.records = (records || []).sort((a, b) => b.timestamp.localeCompare(a.timestamp));
+            this.selected.forEach(id => {
+                if (!this.records.some(record => record.id === id)) this.selected.delete(id);
+            });
+            this.render();
+        } catch (error) {
+            console.warn('Could not load results history:', error);
+            this.showStatus(`Could not load history: ${error.message}`, 'error');
+        }
+    }
+
+    /**
+     * Change a filter and redraw the table
+     */
+    setFilter(name, value) {
+        this.filters[name] = value;
+        this.render();
+    }
+
+    /**
+     * Get the stored runs that match the current filters
+     */
+    getFilteredRecords() {
+        const { scenario, tag, from } = this.filters;
+        // The date input gives a local day; runs are stored with UTC timestamps
+        const fromDate = from ? this.parseLocalDate(from) : null;
+
+        return this.records.filter(record =>
+            (!scenario || record.scenario === scenario) &&
+            (!tag || record.tags.includes(tag)) &&
+            (!fromDate || new Date(record.timestamp) >= fromDate)
+        );
+    }
+
+    /**
+     * Start of a YYYY-MM-DD day in local time
+     */
+    parseLocalDate(value) {
+        const [year, month, day] = value.split('-').map(Number);
+        return new Date(year, month - 1, day);
+    }
+
+    /**
+     * Get the selected runs, in table order
+     */
+    getSelectedRecords() {
+        return this.records.filter(record => this.selected.has(record.id));
+    }
+
+    /**
+     * Select every run that matches the filters, or clear the selection if they are all selected already
+     */
+    selectAll() {
+        const visible = this.getFilteredRecords();
+        const allSelected = visible.length > 0 && visible.every(record => this.selected.has(record.id));
+
+        visible.forEach(record => {
+            if (allSelected) this.selected.delete(record.id); else this.selected.add(record.id);
+        });
+        this.render();
+    }
+
+    /**
+     * Add the tag in the tag input to the selected runs, or remove it from them
+     */
+    async tagSelected(add) {
+        const input = document.getElementById('historyTagInput');
+        const tag = input ? input.value.trim() : '';
+        const records = this.getSelectedRecords();
+
+        if (!tag || records.length === 0) {
+            this.showStatus('Select runs and enter a tag first', 'info');
+            return;
+        }
+
+        const changed = records.filter(record => add ? !record.tags.includes(tag) : record.tags.includes(tag));
+        changed.forEach(record => {
+            record.tags = add ? record.tags.concat(tag) : record.tags.filter(existing => existing !== tag);
+        });
+
+        try {
+            await this.transaction('readwrite', store => {
+                changed.forEach(record => store.put(record));
+            });
+            this.render();
+            this.showStatus(`${add ? 'Tagged' : 'Untagged'} ${changed.length} run(s) ${add ? 'with' : 'from'} "${tag}"`, 'success');
+        } catch (error) {
+            this.showStatus(`Could not update tags: ${error.message}`, 'error');
+            this.refresh();
+        }
+    }
+
+    /**
+     * Delete the selected runs
+     */
+    async deleteSelected() {
+        const ids = Array.from(this.selected);
+        if (ids.length === 0) {
+            this.showStatus('Select the runs to delete first', 'info');
+            return;
+        }
+        if (!confirm(`Delete ${ids.length} run(s) from the history?`)) return;
+
+        try {
+            await this.transaction('readwrite', store => {
+                ids.forEach(id => store.delete(id));
+            });
+            this.records = this.records.filter(record => !this.selected.has(record.id));
+            this.selected.clear();
+            this.render();
+            this.showStatus(`Deleted ${ids.length} run(s)`, 'success');
+        } catch (error) {
+            this.showStatus(`Could not delete runs: ${error.message}`, 'error');
+        }
+    }
+
+    /**
+     * Collect the per-protocol measurements of stored runs
+     */
+    toMeasurements(records) {
+        return {
+            http2: records.map(record => record.results.http2),
+            http3: records.map(record => record.results.http3)
+        };
+    }
+
+    /**
+     * Show a stored run in the protocol panels and results summary
+     */
+    open(id) {
+        const record = this.records.find(existing => existing.id === id);
+        if (!record) return;
+
+        // Updating the metrics also redraws the protocol's waterfall
+        const measurement = this.performanceMeasurement;
+        ['http2', 'http3'].forEach(protocol => measurement.updateProtocolMetrics(protocol, record.results[protocol]));
+
+        // The verdict covers the stored runs of the same scenario rather than this session's
+        const sameScenario = this.records.filter(existing => existing.scenario === record.scenario);
+        measurement.showComparison(
+            { scenario: record.scenario, race: record.race, preflight: record.preflight || null, results: record.results },
+            this.toMeasurements(sameScenario)
+        );
+
+        const contentElement = document.getElementById('summaryContent');
+        if (contentElement) {
+            contentElement.insertAdjacentHTML('afterbegin', `
+                <p class="history-reopened">Re-opened from history: ${escapeHtml(record.scenarioName)}, ${new Date(record.timestamp).toLocaleString()}${record.tags.length > 0 ? ` (${escapeHtml(record.tags.join(', '))})` : ''}</p>
+            `);
+        }
+    }
+
+    /**
+     * Recompute statistics over the selected runs, per scenario
+     */
+    analyzeSelected() {
+        const records = this.getSelectedRecords();
+        if (records.length === 0) {
+            this.showStatus('Select the runs to analyze first', 'info');
+            return;
+        }
+
+        const measurement = this.performanceMeasurement;
+        const measurements = this.toMeasurements(records);
+        const scenarios = Array.from(new Set(records.map(record => record.scenario)));
+        const confidence = Math.round(measurement.statistics.confidenceLevel * 100);
+
+        const sections = scenarios.map(scenario => {
+            const runs = records.filter(record => record.scenario === scenario);
+            const http2Stats = measurement.calculateStats(measurement.getScenarioMeasurements('http2', scenario, measurements));
+            const http3Stats = measurement.calculateStats(measurement.getScenarioMeasurements('http3', scenario, measurements));
+
+            return `
+                <div class="history-analysis">
+                    <h5>${escapeHtml(runs[0].scenarioName)} (${runs.length} run${runs.length === 1 ? '' : 's'}, ${new Date(runs[runs.length - 1].timestamp).toLocaleDateString()} to ${new Date(runs[0].timestamp).toLocaleDateString()})</h5>
+                    <div class="multiple-test-stats">
+                        <div class="protocol-stats">
+                            <h5>HTTP/2 Statistics:</h5>
+                            <p>Average: ${http2Stats.avg.toFixed(0)}ms (n=${http2Stats.count})</p>
+                            <p>Std Dev: ${http2Stats.stdDev.toFixed(0)}ms</p>
+                        </div>
+                        <div class="protocol-stats">
+                            <h5>HTTP/3 Statistics:</h5>
+                            <p>Average: ${http3Stats.avg.toFixed(0)}ms (n=${http3Stats.count})</p>
+                            <p>Std Dev: ${http3Stats.stdDev.toFixed(0)}ms</p>
+                        </div>
+                    </div>
+                    <div class="percentile-results">
+                        <h5>Percentile Distribution:</h5>
+                        ${measurement.renderPercentileTable(measurement.getPercentiles(scenario, measurements))}
+                    </div>
+                    <div class="significance-results">
+                        <h5>Significance (${confidence}% bootstrap intervals, Mann-Whitney U):</h5>
+                        ${measurement.renderSignificanceTable(measurement.getSignificance(scenario, measurements))}
+                    </div>
+                </div>
+            `;
+        }).join('');
+
+        const summaryElement = document.getElementById('resultsSummary');
+        const contentElement = document.getElementById('summaryContent');
+        if (summaryElement && contentElement) {
+            contentElement.innerHTML = `
+                <div class="summary-header">
+                    <h4>History Analysis (${records.length} selected run${records.length === 1 ? '' : 's'})</h4>
+                </div>
+                ${sections}
+                <div class="summary-note">
+                    <small>Invalid runs and runs with errors or on the wrong protocol are left out, as for the current session.</small>
+                </div>
+            `;
+            summaryElement.style.display = 'block';
+        }
+    }
+
+    /**
+     * Describe the network simulation a run was recorded under
+     */
+    formatNetwork(simulation) {
+        if (!simulation) return 'None';
+
+        const parts = [`${simulation.latency}ms`];
+        if (simulation.bandwidth) parts.push(`${(simulation.bandwidth / 1024 / 1024).toFixed(1)}MB/s`);
+        if (simulation.packetLoss) parts.push(`${(simulation.packetLoss * 100).toFixed(1)}% loss`);
+        return parts.join(', ');
+    }
+
+    /**
+     * Fill a filter select with options, keeping its selection if still available
+     */
+    renderFilterOptions(id, filter, values, allLabel) {
+        const select = document.getElementById(id);
+        if (!select) return;
+
+        const current = this.filters[filter];
+        select.innerHTML = `<option value="">${allLabel}</option>` +
+            values.map(value => `<option value="${escapeHtml(value.id)}">${escapeHtml(value.label)}</option>`).join('');
+        select.value = values.some(value => value.id === current) ? current : '';
+        this.filters[filter] = select.value;
+    }
+
+    /**
+     * Redraw the filters and the history table
+     */
+    render() {
+        const scenarios = new Map();
+        const tags = new Set();
+        this.records.forEach(record => {
+            scenarios.set(record.scenario, record.scenarioName);
+            record.tags.forEach(tag => tags.add(tag));
+        });
+
+        this.renderFilterOptions('historyScenario', 'scenario', Array.from(scenarios, ([id, label]) => ({ id, label })), 'All scenarios');
+        this.renderFilterOptions('historyTagFilter', 'tag', Array.from(tags).sort().map(tag => ({ id: tag, label: tag })), 'All tags');
+
+        const count = document.getElementById('historyCount');
+        if (count) count.textContent = `(${this.records.length} run${this.records.length === 1 ? '' : 's'})`;
+
+        const container = document.getElementById('historyRuns');
+        if (!container) return;
+
+        const records = this.getFilteredRecords();
+        if (records.length === 0) {
+            container.innerHTML = `<small>${this.records.length === 0 ? 'No runs stored yet. Every recorded run is added here.' : 'No stored runs match the filters.'}</small>`;
+            this.updateSelectionCount();
+            return;
+        }
+
+        const formatTime = (result) => result && typeof result.loadTime === 'number' ? `${result.loadTime.toFixed(0)}ms` : '-';
+        const body = records.map(record => `
+            <tr class="${record.valid ? '' : 'invalid'}">
+                <td><input type="checkbox" class="history-select" data-id="${record.id}"${this.selected.has(record.id) ? ' checked' : ''}></td>
+                <td>${new Date(record.timestamp).toLocaleString()}</td>
+                <td>${escapeHtml(record.scenarioName)}</td>
+                <td>${record.mode}, ${record.connectionMode}</td>
+                <td>${this.formatNetwork(record.networkSimulation)}</td>
+                <td>${escapeHtml(`${record.browser.name} ${record.browser.version}`)}</td>
+                <td>${formatTime(record.results.http2)}</td>
+                <td>${formatTime(record.results.http3)}</td>
+                <td>${record.tags.map(tag => `<span class="scenario-tag">${escapeHtml(tag)}</span>`).join('')}</td>
+                <td><button type="button" class="btn btn-outline history-open" data-id="${record.id}">Open</button></td>
+            </tr>
+        `).join('');
+
+        container.innerHTML = `
+            <table class="history-table">
+                <thead>
+                    <tr>
+                        <th></th>
+                        <th>Recorded</th>
+                        <th>Scenario</th>
+                        <th>Mode</th>
+                        <th>Network</th>
+                        <th>Browser</th>
+                        <th>HTTP/2</th>
+                        <th>HTTP/3</th>
+                        <th>Tags</th>
+                        <th></th>
+                    </tr>
+                </thead>
+                <tbody>${body}</tbody>
+            </table>
+        `;
+        this.updateSelectionCount();
+    }
+
+    /**
+     * Show how many runs are selected
+     */
+    updateSelectionCount() {
+        const element = document.getElementById('historySelection');
+        if (element) {
+            element.textContent = `${this.selected.size} selected`;
+        }
+    }
+
+    /**
+     * Show a status line under the history controls
+     */
+    showStatus(message, type) {
+        const status = document.getElementById('historyStatus');
+        if (!status) return;
+
+        status.textContent = message;
+        status.className = `history-status ${type}`;
+    }
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ResultsHistory;
+}
\ No newline at end of file
@@ -0,0 +1,18 @@
+/**
+ * HTML Helpers
+ * Escaping for text from imported files and user input that is rendered as HTML
+ */
+
+/**
+ * Escape text for use in HTML content and quoted attribute values
+ */
+function escapeHtml(value) {
+    return String(value).replace(/[&<>"']/g, char => ({
+        '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+    })[char]);
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = escapeHtml;
+}
\ No newline at end of file
@@ -0,0 +1,313 @@
+/**
+ * Protocol Matrix Module
+ * Runs every test scenario under every network profile and reports HTTP/3's relative advantage as a heatmap
+ */
+
+class MatrixRunner {
+    constructor(performanceMeasurement, networkSimulation) {
+        this.performanceMeasurement = performanceMeasurement;
+        this.networkSimulation = networkSimulation;
+        this.matrix = null;
+        // Advantage (in %) at which a heatmap cell reaches full colour
+        this.maxAdvantage = 50;
+        this.colors = {
+            http2: '0, 123, 255',
+            http3: '40, 167, 69'
+        };
+    }
+
+    /**
+     * Fill the scenario and network profile checkboxes of the matrix configuration
+     */
+    renderOptions() {
+        const scenarioContainer = document.getElementById('matrixScenarios');
+        const profileContainer = document.getElementById('matrixProfiles');
+
+        if (scenarioContainer) {
+            scenarioContainer.innerHTML = Object.entries(this.performanceMeasurement.testScenarios)
+                .map(([id, scenario]) => `<label title="${escapeHtml(scenario.description)}"><input type="checkbox" value="${escapeHtml(id)}" checked> ${escapeHtml(scenario.name)}</label>`)
+                .join('');
+        }
+
+        if (profileContainer) {
+            profileContainer.innerHTML = Object.entries(this.networkSimulation.getNetworkProfiles())
+                .map(([id, profile]) => `<label title="${profile.latency}ms latency, ${profile.bandwidth ? `${profile.bandwidth}Mbps` : 'unlimited'}, packet loss not emulated"><input type="checkbox" value="${id}"${id === 'perfect' ? ' checked' : ''}> ${profile.name}</label>`)
+                .join('');
+        }
+    }
+
+    /**
+     * Read the selected scenarios, profiles and runs per cell from the UI
+     */
+    getSelection() {
+        const checked = (id) => Array.from(document.querySelectorAll(`#${id} input:checked`)).map(input => input.value);
+        const runsInput = document.getElementById('matrixRuns');
+        const runs = runsInput ? parseInt(runsInput.value, 10) : NaN;
+
+        return {
+            scenarios: checked('matrixScenarios'),
+            profiles: checked('matrixProfiles'),
+            runs: isNaN(runs) ? 5 : Math.min(50, Math.max(1, runs))
+        };
+    }
+
+    /**
+     * Create an empty matrix for a selection
+     */
+    createMatrix(selection) {
+        const cells = {};
+        selection.scenarios.forEach(scenario => {
+            selection.profiles.forEach(profile => {
+                cells[this.getCellKey(scenario, profile)] = this.createCell(scenario, profile);
+            });
+        });
+
+        return {
+            scenarios: selection.scenarios,
+            profiles: selection.profiles,
+            runs: selection.runs,
+            total: selection.scenarios.length * selection.profiles.length * selection.runs,
+            completed: 0,
+            startTime: Date.now(),
+            cells
+        };
+    }
+
+    /**
+     * Key of a scenario × profile cell
+     */
+    getCellKey(scenario, profile) {
+        return `${scenario}|${profile}`;
+    }
+
+    /**
+     * Create an empty cell
+     */
+    createCell(scenario, profile) {
+        return {
+            scenario,
+            profile,
+            http2: [],
+            http3: [],
+            failed: 0,
+            running: false,
+            http2Median: null,
+            http3Median: null,
+            advantage: null,
+            comparison: null
+        };
+    }
+
+    /**
+     * Run every scenario × profile combination; each profile throttles the test pages on the server
+     */
+    async run(selection, options) {
+        const { signal, runOptions, delay = 0, beforeRun = () => Promise.resolve() } = options;
+        this.matrix = this.createMatrix(selection);
+        this.render();
+
+        // Check every scenario once up front rather than before every run
+        await this.preflight(selection.scenarios, runOptions.preflight || this.performanceMeasurement.preflightMode, signal);
+
+        for (const profile of selection.profiles) {
+            const pageThrottle = this.getPageThrottle(profile);
+
+            for (const scenario of selection.scenarios) {
+                const cell = this.matrix.cells[this.getCellKey(scenario, profile)];
+
+                for (let i = 0; i < selection.runs; i++) {
+                    await beforeRun();
+                    if (signal.aborted) return this.matrix;
+
+                    cell.running = true;
+                    this.render();
+
+                    const test = await this.performanceMeasurement.startTest(scenario, {
+                        ...runOptions,
+                        runIndex: i,
+                        record: false,
+                        pageThrottle,
+                        signal
+                    });
+
+                    cell.running = false;
+                    if (test.cancelled) {
+                        this.render();
+                        return this.matrix;
+                    }
+
+                    this.addRun(cell, test);
+                    this.matrix.completed++;
+                    this.render();
+
+                    if (this.matrix.completed < this.matrix.total && delay > 0) {
+                        await this.performanceMeasurement.wait(delay, signal).catch(() => {});
+                    }
+                }
+            }
+        }
+
+        return this.matrix;
+    }
+
+    /**
+     * Server-side throttle for a network profile: its latency and its bandwidth in kbit/s (0 = unlimited)
+     */
+    getPageThrottle(profile) {
+        const settings = this.networkSimulation.getNetworkProfiles()[profile];
+        return { latency: settings.latency, kbps: settings.bandwidth * 1000 };
+    }
+
+    /**
+     * Preflight the selected scenarios; in block mode the matrix does not start if any of them fails
+     */
+    async preflight(scenarios, mode, signal) {
+        if (mode === 'off') return;
+
+        const failed = [];
+        for (const scenario of scenarios) {
+            const report = await this.performanceMeasurement.preflight.check(scenario, signal);
+            if (!report.valid) {
+                failed.push(scenario);
+                this.performanceMeasurement.showPreflightReport(report);
+            }
+        }
+
+        if (failed.length > 0 && mode === 'block') {
+            throw new Error(`Preflight failed for ${failed.join(', ')} - fix the scenario manifest or set preflight to "warn"`);
+        }
+    }
+
+    /**
+     * Add a finished run to its cell; runs where either protocol is not comparable only count as failed
+     */
+    addRun(cell, test) {
+        const http2 = test.results.http2;
+        const http3 = test.results.http3;
+        const comparable = !test.error && [http2, http3].every(result =>
+            result && this.performanceMeasurement.isComparableMeasurement(result)
+        );
+
+        if (comparable) {
+            cell.http2.push(http2.loadTime);
+            cell.http3.push(http3.loadTime);
+        } else {
+            cell.failed++;
+        }
+
+        this.summarizeCell(cell);
+    }
+
+    /**
+     * Compute the medians, HTTP/3's relative advantage and the significance of a cell
+     */
+    summarizeCell(cell) {
+        if (cell.http2.length === 0) return;
+
+        const statistics = this.performanceMeasurement.statistics;
+        cell.http2Median = statistics.median(cell.http2);
+        cell.http3Median = statistics.median(cell.http3);
+        // Positive when HTTP/3 is faster, as a share of the HTTP/2 load time
+        cell.advantage = cell.http2Median > 0 ? (cell.http2Median - cell.http3Median) / cell.http2Median * 100 : null;
+        cell.comparison = statistics.compareMetric(cell.http2, cell.http3, 'loadTime');
+    }
+
+    /**
+     * Heatmap background for an advantage: green when HTTP/3 is faster, blue when HTTP/2 is
+     */
+    getCellColor(advantage) {
+        if (advantage === null) return '';
+
+        const alpha = 0.15 + 0.85 * Math.min(1, Math.abs(advantage) / this.maxAdvantage);
+        const color = advantage >= 0 ? this.colors.http3 : this.colors.http2;
+        return `background: rgba(${color}, ${alpha.toFixed(2)});${alpha > 0.6 ? ' color: #fff;' : ''}`;
+    }
+
+    /**
+     * Render the matrix report
+     */
+    render(paused = false) {
+        const container = document.getElementById('matrixResults');
+        if (!container || !this.matrix) return;
+
+        const matrix = this.matrix;
+        const scenarios = this.performanceMeasurement.testScenarios;
+        const profiles = this.networkSimulation.getNetworkProfiles();
+
+        const header = matrix.profiles.map(profile => `<th>${profiles[profile] ? profiles[profile].name : profile}</th>`).join('');
+        const rows = matrix.scenarios.map(scenario => `
+            <tr>
+                <th>${escapeHtml(scenarios[scenario] ? scenarios[scenario].name : scenario)}</th>
+                ${matrix.profiles.map(profile => this.renderCell(matrix.cells[this.getCellKey(scenario, profile)])).join('')}
+            </tr>
+        `).join('');
+
+        container.innerHTML = `
+            <h5>Protocol Matrix: ${matrix.completed}/${matrix.total} runs (${matrix.runs} per cell)${paused ? ' (paused)' : ''}</h5>
+            <table class="matrix-table">
+                <thead>
+                    <tr>
+                        <th>Scenario \\ Network</th>
+                        ${header}
+                    </tr>
+                </thead>
+                <tbody>${rows}</tbody>
+            </table>
+            <div class="matrix-legend">
+                <span>HTTP/2 faster</span>
+                <span class="matrix-gradient"></span>
+                <span>HTTP/3 faster</span>
+            </div>
+            <div class="summary-note">
+                <small>
+                    Each cell shows HTTP/3's advantage in median load time relative to HTTP/2; * marks a significant difference
+                    (needs ${this.performanceMeasurement.statistics.minimumSampleSize} successful runs). Profiles are applied on the server: the test page
+                    and its resources are answered after the profile's latency and sent at its bandwidth, each response on its own.
+                    Handshakes are not slowed and packet loss is not emulated.
+                </small>
+            </div>
+        `;
+        container.style.display = 'block';
+    }
+
+    /**
+     * Render a single heatmap cell
+     */
+    renderCell(cell) {
+        const runs = cell.http2.length;
+        const classes = ['matrix-cell', cell.running ? 'running' : '', runs === 0 ? 'empty' : ''].join(' ');
+
+        if (runs === 0) {
+            return `<td class="${classes}">${cell.running ? '…' : cell.failed > 0 ? `${cell.failed} failed` : '-'}</td>`;
+        }
+
+        const statistics = this.performanceMeasurement.statistics;
+        const advantage = cell.advantage === null ? '-' : `${cell.advantage >= 0 ? '+' : ''}${cell.advantage.toFixed(1)}%`;
+        const marker = cell.comparison && cell.comparison.significant ? '*' : '';
+        const title = `HTTP/2 median ${cell.http2Median.toFixed(0)}ms, HTTP/3 median ${cell.http3Median.toFixed(0)}ms - ${statistics.describeVerdict(cell.comparison)}`;
+
+        return `
+            <td class="${classes}" style="${this.getCellColor(cell.advantage)}" title="${title}">
+                <span class="matrix-advantage">${advantage}${marker}</span>
+                <span class="matrix-detail">n=${runs}${cell.failed > 0 ? `, ${cell.failed} failed` : ''}</span>
+            </td>
+        `;
+    }
+
+    /**
+     * Clear the matrix report
+     */
+    reset() {
+        this.matrix = null;
+        const container = document.getElementById('matrixResults');
+        if (container) {
+            container.innerHTML = '';
+            container.style.display = 'none';
+        }
+    }
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MatrixRunner;
+}
\ No newline at end of file
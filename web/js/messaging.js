@@ -0,0 +1,146 @@
+/**
+ * Test Page Messaging Module
+ * Validates versioned postMessage traffic from test pages and routes it to the run it belongs to
+ */
+
+class TestPageChannel {
+    constructor() {
+        this.protocol = 'h2-vs-h3';
+        this.version = 1;
+        this.runs = new Map();
+        this.rejected = [];
+        this.maxRejectedLog = 50;
+        this.schemas = this.initializeSchemas();
+
+        this.handleMessage = this.handleMessage.bind(this);
+        window.addEventListener('message', this.handleMessage);
+    }
+
+    /**
+     * Initialize payload schemas: required and optional fields with their types ('?' allows null)
+     */
+    initializeSchemas() {
+        return {
+            hello: { required: { page: 'string' }, optional: {} },
+            progress: { required: { loaded: 'number', total: 'number' }, optional: {} },
+            resource: { required: { name: 'string' }, optional: { type: 'string', loadTime: 'number', size: 'number' } },
+            complete: { required: { loadTime: 'number' }, optional: { resourceCount: 'number', details: 'object' } },
+            error: { required: { message: 'string' }, optional: {} },
+            vitals: { required: {}, optional: { fcp: 'number?', lcp: 'number?', cls: 'number?', inp: 'number?', ttfb: 'number?' } }
+        };
+    }
+
+    /**
+     * Create a unique run ID for a protocol
+     */
+    createRunId(protocol) {
+        return `${protocol}-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+    }
+
+    /**
+     * Start accepting messages for a run from the origin its page is served from
+     */
+    openRun(runId, origin, handlers) {
+        this.runs.set(runId, { origin, handlers });
+    }
+
+    /**
+     * Stop accepting messages for a run; anything arriving later is rejected
+     */
+    closeRun(runId) {
+        this.runs.delete(runId);
+    }
+
+    /**
+     * Check whether a sender origin is allowed for a run: only the origin its page was loaded from
+     */
+    isAllowedOrigin(origin, run) {
+        return origin === run.origin;
+    }
+
+    /**
+     * Validate a message envelope and payload, returning an error string or null
+     */
+    validate(data) {
+        if (!data || typeof data !== 'object') return 'not an object';
+        if (data.protocol !== this.protocol) return 'unknown protocol';
+        if (data.version !== this.version) return `unsupported version ${data.version}`;
+        if (typeof data.runId !== 'string' || !data.runId) return 'missing run ID';
+
+        const schema = this.schemas[data.type];
+        if (!schema) return `unknown message type ${data.type}`;
+
+        const payload = data.payload;
+        if (!payload || typeof payload !== 'object') return 'missing payload';
+
+        for (const [field, type] of Object.entries(schema.required)) {
+            if (!this.hasType(payload[field], type)) return `${data.type}.${field} must be a ${type}`;
+        }
+        for (const [field, type] of Object.entries(schema.optional)) {
+            if (payload[field] !== undefined && !this.hasType(payload[field], type)) {
+                return `${data.type}.${field} must be a ${type}`;
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Check a value against a schema type
+     */
+    hasType(value, type) {
+        if (type.endsWith('?')) return value === null || this.hasType(value, type.slice(0, -1));
+        if (type === 'number') return typeof value === 'number' && isFinite(value);
+        if (type === 'object') return value !== null && typeof value === 'object';
+        return typeof value === type;
+    }
+
+    /**
+     * Route a window message to the handlers of its run
+     */
+    handleMessage(event) {
+        const data = event.data;
+
+        // Ignore traffic that does not speak this protocol at all (extensions, devtools, ...)
+        if (!data || typeof data !== 'object' || data.protocol !== this.protocol) return;
+
+        const error = this.validate(data);
+        if (error) {
+            this.reject(event, `malformed message: ${error}`);
+            return;
+        }
+
+        const run = this.runs.get(data.runId);
+        if (!run) {
+            this.reject(event, `no active run ${data.runId}`);
+            return;
+        }
+
+        if (!this.isAllowedOrigin(event.origin, run)) {
+            this.reject(event, `unexpected origin ${event.origin}`);
+            return;
+        }
+
+        const handler = run.handlers[data.type];
+        if (handler) {
+            handler(data.payload, data);
+        }
+    }
+
+    /**
+     * Record a rejected message
+     */
+    reject(event, reason) {
+        console.warn(`Rejected test page message from ${event.origin}: ${reason}`);
+
+        this.rejected.push({ origin: event.origin, reason, timestamp: Date.now() });
+        if (this.rejected.length > this.maxRejectedLog) {
+            this.rejected.shift();
+        }
+    }
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TestPageChannel;
+}
\ No newline at end of file
@@ -113,15 +113,7 @@ class NetworkSimulation {
                 <label for="scenarioSelect">Quick Scenarios:</label>
                 <select id="scenarioSelect" class="scenario-select">
                     <option value="">Select a scenario...</option>
-                    <option value="perfect">Perfect Network</option>
-                    <option value="home-wifi">Home WiFi</option>
-                    <option value="office-wifi">Office WiFi</option>
-                    <option value="mobile-4g">Mobile 4G</option>
-                    <option value="mobile-3g">Mobile 3G</option>
-                    <option value="mobile-2g">Mobile 2G</option>
-                    <option value="satellite">Satellite</option>
-                    <option value="congested">Congested Network</option>
-                    <option value="unstable">Unstable Connection</option>
+                    ${Object.entries(this.getNetworkProfiles()).map(([id, profile]) => `<option value="${id}">${profile.name}</option>`).join('')}
                 </select>
             </div>
 
@@ -299,8 +291,8 @@ class NetworkSimulation {
             return response;
         };
 
-        // Store original fetch for restoration
-        this._originalFetch = originalFetch;
+        // Store original fetch for restoration (the first wrapper keeps the unwrapped one)
+        this._originalFetch = this._originalFetch || originalFetch;
         
         console.log(`Simulating ${latencyMs}ms network latency`);
     }
@@ -332,7 +324,7 @@ class NetworkSimulation {
             return response;
         };
 
-        this._originalFetch = originalFetch;
+        this._originalFetch = this._originalFetch || originalFetch;
     }
 
     /**
@@ -352,7 +344,7 @@ class NetworkSimulation {
             return await originalFetch(url, options);
         };
 
-        this._originalFetch = originalFetch;
+        this._originalFetch = this._originalFetch || originalFetch;
     }
 
     /**
@@ -391,23 +383,28 @@ class NetworkSimulation {
     }
 
     /**
-     * Apply predefined network scenario
+     * Get the predefined network profiles (latency in ms, bandwidth in Mbps with 0 = unlimited, packet loss in %)
      */
-    applyNetworkScenario(scenario) {
-        const scenarios = {
-            'perfect': { latency: 0, bandwidth: 0, packetLoss: 0 },
-            'home-wifi': { latency: 20, bandwidth: 50, packetLoss: 0 },
-            'office-wifi': { latency: 10, bandwidth: 100, packetLoss: 0.1 },
-            'mobile-4g': { latency: 50, bandwidth: 25, packetLoss: 0.5 },
-            'mobile-3g': { latency: 150, bandwidth: 5, packetLoss: 1 },
-            'mobile-2g': { latency: 300, bandwidth: 1, packetLoss: 2 },
-            'satellite': { latency: 600, bandwidth: 10, packetLoss: 0.5 },
-            'congested': { latency: 200, bandwidth: 2, packetLoss: 3 },
-            'unstable': { latency: 100, bandwidth: 10, packetLoss: 5 }
+    getNetworkProfiles() {
+        return {
+            'perfect': { name: 'Perfect Network', latency: 0, bandwidth: 0, packetLoss: 0 },
+            'home-wifi': { name: 'Home WiFi', latency: 20, bandwidth: 50, packetLoss: 0 },
+            'office-wifi': { name: 'Office WiFi', latency: 10, bandwidth: 100, packetLoss: 0.1 },
+            'mobile-4g': { name: 'Mobile 4G', latency: 50, bandwidth: 25, packetLoss: 0.5 },
+            'mobile-3g': { name: 'Mobile 3G', latency: 150, bandwidth: 5, packetLoss: 1 },
+            'mobile-2g': { name: 'Mobile 2G', latency: 300, bandwidth: 1, packetLoss: 2 },
+            'satellite': { name: 'Satellite', latency: 600, bandwidth: 10, packetLoss: 0.5 },
+            'congested': { name: 'Congested Network', latency: 200, bandwidth: 2, packetLoss: 3 },
+            'unstable': { name: 'Unstable Connection', latency: 100, bandwidth: 10, packetLoss: 5 }
         };
+    }
 
-        const settings = scenarios[scenario];
-        if (!settings) return;
+    /**
+     * Apply predefined network scenario
+     */
+    applyNetworkScenario(scenario) {
+        const settings = this.getNetworkProfiles()[scenario];
+        if (!settings) return Promise.resolve();
 
         // Update UI controls
         document.getElementById('latencySlider').value = settings.latency;
@@ -419,10 +416,10 @@ class NetworkSimulation {
         document.getElementById('bandwidthSlider').dispatchEvent(new Event('input'));
         document.getElementById('packetLossSlider').dispatchEvent(new Event('input'));
 
-        // Apply the simulation
-        this.applyNetworkSimulation();
-
         console.log(`Applied network scenario: ${scenario}`, settings);
+
+        // Apply the simulation
+        return this.applyNetworkSimulation();
     }
 
     /**
@@ -10,92 +10,417 @@ class PerformanceMeasurement {
             http3: []
         };
         this.currentTest = null;
-        this.testScenarios = this.initializeTestScenarios();
+        this.serverOrigins = {
+            http2: 'https://localhost:8443',
+            http3: 'https://localhost:8444'
+        };
+        this.messageChannel = new TestPageChannel();
+        // How long a run keeps listening for test page messages after its page has loaded
+        this.messageGracePeriod = 5000;
+        // How long a single page load may take before the run fails (overridable per run)
+        this.loadTimeout = 10000;
+        this.webVitals = {
+            fcp: { label: 'FCP', name: 'First Contentful Paint', unit: 'ms' },
+            lcp: { label: 'LCP', name: 'Largest Contentful Paint', unit: 'ms' },
+            cls: { label: 'CLS', name: 'Cumulative Layout Shift', unit: '' },
+            inp: { label: 'INP', name: 'Interaction to Next Paint', unit: 'ms' },
+            ttfb: { label: 'TTFB', name: 'Time to First Byte', unit: 'ms' }
+        };
+        // Scenarios come from the scenario manifest, loaded at startup by the demo controller
+        this.scenarioRegistry = new ScenarioRegistry();
+        this.testScenarios = this.scenarioRegistry.scenarios;
+        // HEAD-check declared scenario resources on both servers before a run: 'block' refuses
+        // scenarios with missing resources, 'warn' only reports them, 'off' skips the check
+        this.preflight = new ScenarioPreflight(this.scenarioRegistry, this.serverOrigins);
+        this.preflightMode = 'block';
+        this.statistics = new PerformanceStatistics();
+        // Exports carry a schema version; imports of older versions are migrated and validated
+        this.resultsSchema = new ResultsSchema();
+        // Source label of runs measured here rather than merged from files
+        this.sessionSourceLabel = 'This session';
+        // Network simulation whose active settings are recorded with each run (set by the demo controller)
+        this.networkSimulation = null;
+        this.waterfall = new ResourceWaterfall();
+        // Leave runs served over the wrong protocol (e.g. h2 before Alt-Svc kicks in) out of statistics
+        this.excludeProtocolMismatches = true;
+        // The browser only switches to h3 after it has seen an Alt-Svc header over TCP, so probe
+        // the HTTP/3 origin until nextHopProtocol says h3 before measuring it
+        this.altSvcPriming = {
+            enabled: true,
+            maxAttempts: 5,
+            delay: 250
+        };
     }
 
     /**
-     * Initialize test scenarios
+     * Get the protocol order for a run under the given ordering strategy
      */
-    initializeTestScenarios() {
-        return {
-            basic: {
-                name: 'Basic Page Load',
-                description: 'Simple HTML page with minimal resources',
-                testUrl: 'test-basic.html',
-                resources: ['styles.css', 'script.js']
-            },
-            images: {
-                name: 'Multiple Images',
-                description: 'Page with multiple images to test multiplexing',
-                testUrl: 'test-images.html',
-                resources: Array.from({length: 10}, (_, i) => `image-${i + 1}.jpg`)
-            },
-            mixed: {
-                name: 'Mixed Resources',
-                description: 'Page with various resource types',
-                testUrl: 'test-mixed.html',
-                resources: ['styles.css', 'script.js', 'data.json', 'font.woff2', 'image.jpg']
-            },
-            'network-simulation': {
-                name: 'Network Simulation Test',
-                description: 'Comprehensive test page for network simulation features',
-                testUrl: 'test-network-simulation.html',
-                resources: Array.from({length: 10}, (_, i) => `small-${i + 1}.svg`).concat(['small.css', 'medium.css', 'large.css', 'small.js', 'medium.js', 'large.js', 'test-data.json'])
-            }
-        };
+    getProtocolOrder(strategy = 'fixed', runIndex = 0, seed = 1) {
+        const forward = ['http2', 'http3'];
+        const reverse = ['http3', 'http2'];
+
+        switch (strategy) {
+            case 'alternating':
+                // ABBA: runs 0 and 3 of every block of four start with HTTP/2
+                return (runIndex % 4 === 0 || runIndex % 4 === 3) ? forward : reverse;
+            case 'random':
+                return PerformanceStatistics.createRandom(seed + runIndex)() < 0.5 ? forward : reverse;
+            default:
+                return forward;
+        }
     }
 
     /**
      * Start performance test for both protocols
      */
-    async startTest(scenario = 'basic') {
+    async startTest(scenario = 'basic', options = {}) {
+        const strategy = options.strategy || 'fixed';
+        const runIndex = options.runIndex || 0;
+        const seed = options.seed || 1;
+        const sequence = this.getProtocolOrder(strategy, runIndex, seed);
+        const order = { strategy, runIndex, seed: strategy === 'random' ? seed : null, sequence };
+        const connectionMode = options.connectionMode || 'default';
+        const mode = options.mode === 'race' ? 'race' : 'sequential';
+        const signal = options.signal || null;
+        const preflightMode = options.preflight || this.preflightMode;
+
         this.currentTest = {
             scenario,
             startTime: performance.now(),
+            mode,
+            order: mode === 'race' ? null : order,
+            connectionMode,
+            loadTimeout: options.timeout || this.loadTimeout,
+            // Server-side latency (ms) and bandwidth (kbit/s) applied to the test page and its resources
+            pageThrottle: options.pageThrottle || null,
+            // Warm-up runs are shown but kept out of the stored measurements
+            recorded: options.record !== false,
+            race: null,
+            preflight: null,
+            error: null,
+            cancelled: false,
+            hidden: document.hidden,
             results: {}
         };
 
+        // Background tabs throttle timers and rendering, so note if the tab is hidden at any point
+        const test = this.currentTest;
+        const onVisibilityChange = () => {
+            if (document.hidden) test.hidden = true;
+        };
+        document.addEventListener('visibilitychange', onVisibilityChange);
+
         // Update UI to show testing state
         this.updateTestingUI(true);
+        this.waterfall.reset();
 
         try {
-            // Test HTTP/2
-            const http2Result = await this.testProtocol('http2', scenario);
-            this.currentTest.results.http2 = http2Result;
-            this.updateProtocolMetrics('http2', http2Result);
+            this.throwIfAborted(signal);
+
+            if (preflightMode !== 'off') {
+                test.preflight = await this.runPreflight(scenario, preflightMode, signal);
+            }
 
-            // Test HTTP/3
-            const http3Result = await this.testProtocol('http3', scenario);
-            this.currentTest.results.http3 = http3Result;
-            this.updateProtocolMetrics('http3', http3Result);
+            if (mode === 'race') {
+                await this.runRace(scenario, connectionMode, signal);
+            } else {
+                // Test each protocol in the order chosen for this run
+                for (const protocol of sequence) {
+                    const result = await this.testProtocol(protocol, scenario, connectionMode, signal);
+                    result.order = { ...order, position: sequence.indexOf(protocol) };
+                    this.currentTest.results[protocol] = result;
+                    this.updateProtocolMetrics(protocol, result);
+                }
+            }
+
+            const http2Result = this.currentTest.results.http2;
+            const http3Result = this.currentTest.results.http3;
+
+            if (test.hidden) {
+                this.invalidateResults(test, 'The tab was hidden during the run');
+            }
 
             // Store results
-            this.measurements.http2.push(http2Result);
-            this.measurements.http3.push(http3Result);
+            if (this.currentTest.recorded) {
+                this.measurements.http2.push(http2Result);
+                this.measurements.http3.push(http3Result);
+            }
 
             // Show comparison
             this.showComparison();
 
         } catch (error) {
-            console.error('Performance test failed:', error);
-            this.showError(error.message);
+            if (error.name === 'AbortError') {
+                test.cancelled = true;
+                this.showCancelled();
+            } else {
+                console.error('Performance test failed:', error);
+                test.error = error.message;
+                this.showError(error.message);
+            }
         } finally {
+            document.removeEventListener('visibilitychange', onVisibilityChange);
             this.updateTestingUI(false);
         }
+
+        return test;
     }
 
     /**
-     * Test a specific protocol
+     * Check the scenario's declared resources on both servers; throws in block mode when any are missing
      */
-    async testProtocol(protocol, scenario) {
-        const port = protocol === 'http2' ? '8443' : '8444';
-        const baseUrl = `https://localhost:${port}`;
-        const testUrl = `${baseUrl}/${this.testScenarios[scenario].testUrl}`;
+    async runPreflight(scenario, mode, signal) {
+        const report = await this.preflight.check(scenario, signal);
+        this.showPreflightReport(report);
+
+        if (!report.valid && mode === 'block') {
+            throw new Error(`Scenario ${scenario} failed preflight: ${report.errors} declared resource check(s) failed (set preflight to "warn" to run anyway)`);
+        }
+
+        return report;
+    }
+
+    /**
+     * Show the preflight report when it found problems
+     */
+    showPreflightReport(report) {
+        const container = document.getElementById('preflightReport');
+        if (!container) return;
+
+        const hasProblems = report.errors > 0 || report.warnings > 0;
+        container.innerHTML = hasProblems ? this.preflight.renderReport(report) : '';
+        container.style.display = hasProblems ? 'block' : 'none';
+    }
+
+    /**
+     * Create the error used to abandon a cancelled test
+     */
+    createAbortError() {
+        const error = new Error('Test cancelled');
+        error.name = 'AbortError';
+        return error;
+    }
+
+    /**
+     * Throw if a cancellation signal has fired
+     */
+    throwIfAborted(signal) {
+        if (signal && signal.aborted) {
+            throw this.createAbortError();
+        }
+    }
+
+    /**
+     * Wait for a delay, rejecting early if the signal fires
+     */
+    wait(ms, signal = null) {
+        return new Promise((resolve, reject) => {
+            this.throwIfAborted(signal);
+
+            const onAbort = () => {
+                clearTimeout(timer);
+                reject(this.createAbortError());
+            };
+            const timer = setTimeout(() => {
+                if (signal) signal.removeEventListener('abort', onAbort);
+                resolve();
+            }, ms);
+
+            if (signal) signal.addEventListener('abort', onAbort, { once: true });
+        });
+    }
+
+    /**
+     * Mark the results of a run as invalid so they stay visible but are left out of statistics
+     */
+    invalidateResults(test, reason) {
+        Object.values(test.results).forEach(result => {
+            result.valid = false;
+            result.invalidReason = reason;
+        });
+    }
 
+    /**
+     * Show that the running test was cancelled
+     */
+    showCancelled() {
+        ['http2', 'http3'].forEach(protocol => {
+            this.updateProtocolStatus(protocol, '', 'Cancelled');
+            const loadingOverlay = document.getElementById(`${protocol}Loading`);
+            if (loadingOverlay) loadingOverlay.classList.remove('active');
+        });
+        this.showRaceTrack(false);
+        console.log('Performance test cancelled');
+    }
+
+    /**
+     * Get the page load timeout of the current run
+     */
+    getLoadTimeout() {
+        return this.currentTest ? this.currentTest.loadTimeout : this.loadTimeout;
+    }
+
+    /**
+     * Build the test page URL for a protocol and connection mode
+     */
+    buildTestUrl(protocol, scenario, connectionMode = 'default') {
+        const origin = this.serverOrigins[protocol];
+        const throttle = this.currentTest && this.currentTest.pageThrottle;
+        // The generator serves throttled pages under a prefix that their relative resource URLs inherit
+        const path = `${throttle ? `gen/net/${throttle.latency}/${throttle.kbps}/` : ''}${this.scenarioRegistry.get(scenario).testUrl}`;
+
+        if (connectionMode !== 'cold') {
+            return `${origin}/${path}`;
+        }
+
+        // A fresh *.localhost origin per run cannot share pooled connections or cached
+        // subresources with earlier runs; the query token also busts the cached page itself
+        const token = `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 8)}`;
+        return `https://run-${token}.localhost:${new URL(origin).port}/${path}${path.includes('?') ? '&' : '?'}nocache=${token}`;
+    }
+
+    /**
+     * Tag a test page URL with the run ID its messages must carry
+     */
+    withRunId(url, runId) {
+        return `${url}${url.includes('?') ? '&' : '?'}runId=${encodeURIComponent(runId)}`;
+    }
+
+    /**
+     * Load the test page once without measuring so the next load finds a warm connection
+     */
+    async primeConnection(protocol, url, signal = null) {
+        const iframe = document.getElementById(`${protocol}Frame`);
+        this.updateProtocolStatus(protocol, 'loading', 'Priming connection...');
+
+        try {
+            await this.loadIframe(iframe, url, this.getLoadTimeout(), signal);
+            return true;
+        } catch (error) {
+            if (error.name === 'AbortError') throw error;
+            console.warn(`${protocol} connection priming failed:`, error.message);
+            return false;
+        }
+    }
+
+    /**
+     * Probe an origin until its responses arrive over h3 or the retry budget runs out
+     */
+    async primeAltSvc(origin, signal = null) {
+        const { maxAttempts, delay } = this.altSvcPriming;
+        const token = Date.now().toString(36);
+        let protocol = 'unknown';
+
+        for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+            this.updateProtocolStatus('http3', 'loading', `Priming Alt-Svc (${attempt}/${maxAttempts})...`);
+
+            const url = `${origin}/alt-svc-probe?t=${token}-${attempt}`;
+            try {
+                await fetch(url, { cache: 'no-store', signal });
+            } catch (error) {
+                if (error.name === 'AbortError') throw this.createAbortError();
+                console.warn(`Alt-Svc probe ${attempt} failed:`, error.message);
+            }
+
+            const entry = performance.getEntriesByName(url, 'resource').pop();
+            protocol = this.normalizeProtocol(entry && entry.nextHopProtocol);
+
+            if (protocol === 'h3') {
+                return { status: 'confirmed', attempts: attempt, protocol };
+            }
+
+            if (attempt < maxAttempts) {
+                await this.wait(delay, signal);
+            }
+        }
+
+        return { status: 'unavailable', attempts: maxAttempts, protocol };
+    }
+
+    /**
+     * Load both protocols at the same instant and record which finishes first
+     */
+    async runRace(scenario, connectionMode, signal = null) {
+        // Prime both protocols first so neither load includes priming
+        const runs = [];
+        for (const protocol of ['http2', 'http3']) {
+            runs.push(await this.prepareProtocolRun(protocol, scenario, connectionMode, signal));
+        }
+
+        this.showRaceTrack(true);
         const startTime = performance.now();
+        const results = await Promise.all(runs.map(run => this.measureProtocol(run, startTime)));
+
+        results.forEach(result => {
+            result.mode = 'race';
+            this.currentTest.results[result.protocol] = result;
+            this.updateRaceProgress(result.protocol, result, true);
+            this.updateProtocolMetrics(result.protocol, result);
+        });
+
+        // Failed loads finish last regardless of when they gave up
+        const finishOrder = results
+            .slice()
+            .sort((a, b) => (a.errors.length - b.errors.length) || (a.loadTime - b.loadTime))
+            .map(result => result.protocol);
+        const [first, second] = finishOrder.map(protocol => this.currentTest.results[protocol]);
+
+        this.currentTest.race = {
+            startTime,
+            finishOrder,
+            margin: second.loadTime - first.loadTime
+        };
+    }
+
+    /**
+     * Test a specific protocol
+     */
+    async testProtocol(protocol, scenario, connectionMode = 'default', signal = null) {
+        const run = await this.prepareProtocolRun(protocol, scenario, connectionMode, signal);
+        return this.measureProtocol(run);
+    }
+
+    /**
+     * Prepare a protocol run: build its URLs and do any priming before the clock starts
+     */
+    async prepareProtocolRun(protocol, scenario, connectionMode = 'default', signal = null) {
+        const baseUrl = this.buildTestUrl(protocol, scenario, connectionMode);
+        const runId = this.messageChannel.createRunId(protocol);
+        const testUrl = this.withRunId(baseUrl, runId);
+
+        // Cold runs measure first contact, so their fresh origin is not primed: the page would reuse the
+        // probe's QUIC connection. Without Alt-Svc they usually load over h2 and are flagged as mismatches.
+        const altSvcPriming = protocol === 'http3' && connectionMode !== 'cold' && this.altSvcPriming.enabled
+            ? await this.primeAltSvc(new URL(baseUrl).origin, signal)
+            : null;
+
+        // Warm mode primes before the clock starts so priming is not part of the measurement
+        // (the priming load carries no run ID, so its messages are never mixed into the result)
+        const primed = connectionMode === 'warm' ? await this.primeConnection(protocol, baseUrl, signal) : null;
+
+        return { protocol, scenario, connectionMode, runId, testUrl, primed, altSvcPriming, signal };
+    }
+
+    /**
+     * Load a prepared protocol run in its iframe and measure it
+     */
+    async measureProtocol(run, startTime = performance.now()) {
+        const { protocol, scenario, connectionMode, runId, testUrl, primed, altSvcPriming, signal } = run;
+        this.throwIfAborted(signal);
+
         const result = {
             protocol,
             scenario,
+            runId,
+            url: testUrl,
+            connectionMode,
+            primed,
+            altSvcPriming,
+            networkSimulation: this.networkSimulation ? this.networkSimulation.currentSimulation : null,
+            connectionReused: null,
+            navigationProtocol: '',
+            protocolMix: {},
+            protocolVerified: null,
             startTime,
             loadTime: 0,
             connectionTime: 0,
@@ -104,9 +429,26 @@ class PerformanceMeasurement {
             totalSize: 0,
             resources: [],
             errors: [],
+            pageConnected: false,
+            pageProgress: null,
+            completionCurve: [],
+            pageErrors: [],
+            iframeResources: [],
+            vitals: null,
             realTimeMetrics: []
         };
 
+        // Pages that load their resources from script report completion by message after their load event
+        const waitForMessage = this.scenarioRegistry.get(scenario).completion === 'message';
+        let onPageComplete = null;
+        const pageComplete = new Promise(resolve => {
+            onPageComplete = resolve;
+        });
+
+        // Listen before loading so messages sent while the page loads are not missed
+        this.messageChannel.openRun(runId, new URL(testUrl).origin, this.createMessageHandlers(runId, result, onPageComplete));
+
+        let monitoringInterval = null;
         try {
             // Update iframe and measure loading
             const iframe = document.getElementById(`${protocol}Frame`);
@@ -117,16 +459,20 @@ class PerformanceMeasurement {
             this.updateProtocolStatus(protocol, 'loading', 'Connecting...');
 
             // Start real-time monitoring
-            const monitoringInterval = this.startRealTimeMonitoring(protocol, result, startTime);
+            monitoringInterval = this.startRealTimeMonitoring(protocol, result, startTime);
 
             // Measure connection and first byte time
             const connectionStart = performance.now();
             this.updateProtocolStatus(protocol, 'loading', 'Loading page...');
             
             // Load the test page in iframe
-            await this.loadIframe(iframe, testUrl);
+            await this.loadIframe(iframe, testUrl, this.getLoadTimeout(), signal);
             
-            const loadEnd = performance.now();
+            let loadEnd = performance.now();
+            if (waitForMessage) {
+                this.updateProtocolStatus(protocol, 'loading', 'Loading resources...');
+                loadEnd = await this.waitForPageComplete(pageComplete, startTime, signal);
+            }
             result.loadTime = loadEnd - startTime;
             result.connectionTime = loadEnd - connectionStart;
 
@@ -143,18 +489,55 @@ class PerformanceMeasurement {
             this.updateProtocolStatus(protocol, 'success', 'Complete');
             
         } catch (error) {
+            // Cancellation abandons the whole test instead of recording a failed run
+            if (error.name === 'AbortError') throw error;
+
             result.errors.push(error.message);
             this.updateProtocolStatus(protocol, 'error', 'Error');
             console.error(`${protocol} test failed:`, error);
         } finally {
+            // A failed or timed out load never reaches the clearInterval above
+            clearInterval(monitoringInterval);
+
             // Hide loading state
             const loadingOverlay = document.getElementById(`${protocol}Loading`);
             loadingOverlay.classList.remove('active');
+
+            // Late messages from this run are still accepted for a while, then rejected
+            setTimeout(() => this.messageChannel.closeRun(runId), this.messageGracePeriod);
         }
 
         return result;
     }
 
+    /**
+     * Wait for the page's complete message within what is left of the load timeout
+     */
+    waitForPageComplete(pageComplete, startTime, signal = null) {
+        const remaining = Math.max(0, this.getLoadTimeout() - (performance.now() - startTime));
+
+        return new Promise((resolve, reject) => {
+            const cleanup = () => {
+                clearTimeout(timer);
+                if (signal) signal.removeEventListener('abort', onAbort);
+            };
+            const onAbort = () => {
+                cleanup();
+                reject(this.createAbortError());
+            };
+            const timer = setTimeout(() => {
+                cleanup();
+                reject(new Error(`Page did not report completion within ${this.getLoadTimeout()}ms`));
+            }, remaining);
+
+            if (signal) signal.addEventListener('abort', onAbort, { once: true });
+            pageComplete.then(completedAt => {
+                cleanup();
+                resolve(completedAt);
+            });
+        });
+    }
+
     /**
      * Start real-time monitoring during test
      */
@@ -172,17 +555,22 @@ class PerformanceMeasurement {
                 memoryUsage: this.getMemoryUsage()
             });
 
+            if (this.currentTest && this.currentTest.mode === 'race') {
+                this.updateRaceProgress(protocol, result, false);
+            }
+
             // Update UI with current elapsed time
             const loadTimeElement = document.getElementById(`${protocol}LoadTime`);
             if (loadTimeElement) {
                 loadTimeElement.textContent = `${elapsed.toFixed(0)}ms`;
             }
 
-            // Update status with progress
+            // Update status with progress (including resource progress reported by the test page)
+            const pageProgress = result.pageProgress ? ` (${result.pageProgress.loaded}/${result.pageProgress.total})` : '';
             if (elapsed < 1000) {
-                this.updateProtocolStatus(protocol, 'loading', `Loading... ${elapsed.toFixed(0)}ms`);
+                this.updateProtocolStatus(protocol, 'loading', `Loading... ${elapsed.toFixed(0)}ms${pageProgress}`);
             } else {
-                this.updateProtocolStatus(protocol, 'loading', `Loading... ${(elapsed/1000).toFixed(1)}s`);
+                this.updateProtocolStatus(protocol, 'loading', `Loading... ${(elapsed/1000).toFixed(1)}s${pageProgress}`);
             }
 
             lastUpdate = currentTime;
@@ -206,28 +594,45 @@ class PerformanceMeasurement {
     /**
      * Load iframe and measure timing
      */
-    loadIframe(iframe, url) {
+    loadIframe(iframe, url, timeoutMs = this.loadTimeout, signal = null) {
         return new Promise((resolve, reject) => {
-            const timeout = setTimeout(() => {
-                reject(new Error('Load timeout'));
-            }, 10000);
+            if (signal && signal.aborted) {
+                reject(this.createAbortError());
+                return;
+            }
 
-            const onLoad = () => {
+            const cleanup = () => {
                 clearTimeout(timeout);
                 iframe.removeEventListener('load', onLoad);
                 iframe.removeEventListener('error', onError);
+                if (signal) signal.removeEventListener('abort', onAbort);
+            };
+
+            const timeout = setTimeout(() => {
+                cleanup();
+                reject(new Error(`Load timeout after ${timeoutMs}ms`));
+            }, timeoutMs);
+
+            const onLoad = () => {
+                cleanup();
                 resolve();
             };
 
             const onError = () => {
-                clearTimeout(timeout);
-                iframe.removeEventListener('load', onLoad);
-                iframe.removeEventListener('error', onError);
+                cleanup();
                 reject(new Error('Failed to load'));
             };
 
+            const onAbort = () => {
+                cleanup();
+                // Stop the page from loading any further
+                iframe.src = 'about:blank';
+                reject(this.createAbortError());
+            };
+
             iframe.addEventListener('load', onLoad);
             iframe.addEventListener('error', onError);
+            if (signal) signal.addEventListener('abort', onAbort);
             iframe.src = url;
         });
     }
@@ -253,7 +658,13 @@ class PerformanceMeasurement {
                     startTime: entry.startTime,
                     responseEnd: entry.responseEnd,
                     connectStart: entry.connectStart,
-                    connectEnd: entry.connectEnd
+                    connectEnd: entry.connectEnd,
+                    requestStart: entry.requestStart,
+                    responseStart: entry.responseStart,
+                    connectionReused: this.detectConnectionReuse(entry),
+                    nextHopProtocol: entry.nextHopProtocol || '',
+                    // Only recent browsers report the status; 0 when unknown
+                    responseStatus: entry.responseStatus || 0
                 }));
                 
                 result.totalSize = result.resources.reduce((sum, resource) => sum + resource.size, 0);
@@ -264,21 +675,73 @@ class PerformanceMeasurement {
                     result.connectionTime = nav.connectEnd - nav.connectStart;
                     result.firstByteTime = nav.responseStart - nav.requestStart;
                     result.domContentLoaded = nav.domContentLoadedEventEnd - nav.domContentLoadedEventStart;
-                    result.domComplete = nav.domComplete - nav.navigationStart;
+                    // Navigation Timing Level 2 entries have no navigationStart; their times start at startTime (0)
+                    result.domComplete = nav.domComplete - nav.startTime;
+                    result.connectionReused = this.detectConnectionReuse(nav);
+                    result.navigationProtocol = nav.nextHopProtocol || '';
                 }
                 
-                // Listen for postMessage from iframe for additional metrics
-                this.setupIframeMessageListener(result);
             }
         } catch (error) {
             // CORS or other access issues - this is expected
             console.warn('Could not access iframe performance data:', error.message);
             
-            // Fallback: estimate based on load time
-            result.resourceCount = this.estimateResourceCount(result.scenario);
+            // Fallback: the resources the scenario manifest declares, timings estimated from load time
+            result.resourceCount = this.scenarioRegistry.getExpectedResourceCount(result.scenario);
             result.firstByteTime = result.loadTime * 0.3; // Estimate
             result.connectionTime = result.loadTime * 0.1; // Estimate
         }
+
+        // Cross-origin frames hide their timeline, but the dashboard records the frame navigation itself
+        if (!result.navigationProtocol) {
+            const frameEntry = performance.getEntriesByName(result.url, 'resource').pop();
+            if (frameEntry) {
+                result.navigationProtocol = frameEntry.nextHopProtocol || '';
+            }
+        }
+
+        this.verifyNegotiatedProtocol(result);
+    }
+
+    /**
+     * Normalize a nextHopProtocol value (h3-29 and friends count as h3)
+     */
+    normalizeProtocol(nextHopProtocol) {
+        if (!nextHopProtocol) return 'unknown';
+        if (nextHopProtocol.startsWith('h3')) return 'h3';
+        return nextHopProtocol;
+    }
+
+    /**
+     * Record the protocol mix of a run and whether it was served over the expected protocol
+     */
+    verifyNegotiatedProtocol(result) {
+        const expected = result.protocol === 'http3' ? 'h3' : 'h2';
+        const mix = {};
+
+        [result.navigationProtocol].concat(result.resources.map(resource => resource.nextHopProtocol)).forEach(value => {
+            const protocol = this.normalizeProtocol(value);
+            mix[protocol] = (mix[protocol] || 0) + 1;
+        });
+
+        result.protocolMix = mix;
+
+        // The navigation decides which server actually answered; null when the browser did not say
+        const navigation = this.normalizeProtocol(result.navigationProtocol);
+        result.protocolVerified = navigation === 'unknown' ? null : navigation === expected;
+    }
+
+    /**
+     * Detect whether a timing entry reused an existing connection (null when unknown)
+     */
+    detectConnectionReuse(entry) {
+        // Cross-origin entries without Timing-Allow-Origin report zero for every detailed timing
+        if (entry.connectStart === 0 && entry.connectEnd === 0 && entry.requestStart === 0) {
+            return null;
+        }
+
+        // A reused connection skips the connect phase, so it starts and ends at the same instant
+        return entry.connectEnd === entry.connectStart;
     }
 
     /**
@@ -308,45 +771,44 @@ class PerformanceMeasurement {
     }
 
     /**
-     * Setup iframe message listener for additional metrics
+     * Create handlers that apply test page messages to the result of one run
      */
-    setupIframeMessageListener(result) {
-        const messageHandler = (event) => {
-            if (event.data && event.data.type === 'pageLoaded') {
-                // Update result with data from iframe
-                if (event.data.loadTime) {
-                    result.iframeLoadTime = event.data.loadTime;
+    createMessageHandlers(runId, result, onComplete = null) {
+        return {
+            hello: () => {
+                result.pageConnected = true;
+            },
+            progress: (payload) => {
+                result.pageProgress = payload;
+                result.completionCurve.push({ elapsed: performance.now() - result.startTime, loaded: payload.loaded, total: payload.total });
+            },
+            resource: (payload) => {
+                result.iframeResources.push(payload);
+                if (!result.pageProgress) {
+                    result.completionCurve.push({ elapsed: performance.now() - result.startTime, loaded: result.iframeResources.length, total: null });
                 }
-                if (event.data.resourceCount) {
-                    result.resourceCount = Math.max(result.resourceCount, event.data.resourceCount);
+            },
+            complete: (payload) => {
+                result.iframeLoadTime = payload.loadTime;
+                if (payload.resourceCount) {
+                    result.resourceCount = Math.max(result.resourceCount, payload.resourceCount);
                 }
-                if (event.data.resources) {
-                    result.iframeResources = event.data.resources;
+                if (payload.details) {
+                    result.pageDetails = payload.details;
                 }
-                
-                // Remove listener after receiving data
-                window.removeEventListener('message', messageHandler);
+                if (onComplete) {
+                    onComplete(performance.now());
+                }
+                // The run stays open for the grace period because LCP and CLS can still change
+            },
+            error: (payload) => {
+                result.pageErrors.push(payload.message);
+            },
+            vitals: (payload) => {
+                result.vitals = payload;
+                this.refreshVitalsSummary(result);
             }
         };
-        
-        window.addEventListener('message', messageHandler);
-        
-        // Clean up listener after timeout
-        setTimeout(() => {
-            window.removeEventListener('message', messageHandler);
-        }, 5000);
-    }
-
-    /**
-     * Estimate resource count based on scenario
-     */
-    estimateResourceCount(scenario) {
-        const estimates = {
-            'basic': 3,
-            'images': 12,
-            'mixed': 6
-        };
-        return estimates[scenario] || 3;
     }
 
     /**
@@ -414,8 +876,19 @@ class PerformanceMeasurement {
             }
         }
 
+        // Update negotiated protocol mix
+        const negotiatedElement = document.getElementById(`${protocol}Negotiated`);
+        if (negotiatedElement && result.protocolMix) {
+            negotiatedElement.textContent = this.formatProtocolMix(result.protocolMix);
+            negotiatedElement.classList.toggle('mismatch', result.protocolVerified === false);
+            negotiatedElement.title = result.protocolVerified === false
+                ? `Page was served over ${result.navigationProtocol}, not ${protocol === 'http3' ? 'h3' : 'h2'} - excluded from statistics`
+                : '';
+        }
+
         // Show real-time resource loading progress
         this.updateResourceProgress(protocol, result);
+        this.waterfall.render(protocol, result);
     }
 
     /**
@@ -426,14 +899,16 @@ class PerformanceMeasurement {
         if (!progressElement) return;
 
         if (result.resources && result.resources.length > 0) {
+            // Sort a copy: results re-opened from history must keep their recorded order
             const resourceList = result.resources
+                .slice()
                 .sort((a, b) => a.responseEnd - b.responseEnd)
                 .slice(0, 5) // Show top 5 resources
                 .map(resource => {
                     const name = resource.name.split('/').pop() || 'Unknown';
                     const size = resource.size ? `(${(resource.size / 1024).toFixed(1)}KB)` : '';
                     const duration = `${resource.duration.toFixed(0)}ms`;
-                    return `<div class="resource-item">${name} ${size} - ${duration}</div>`;
+                    return `<div class="resource-item">${escapeHtml(name)} ${size} - ${duration}</div>`;
                 })
                 .join('');
 
@@ -447,6 +922,62 @@ class PerformanceMeasurement {
         }
     }
 
+    /**
+     * Show or hide the race progress track
+     */
+    showRaceTrack(visible) {
+        const trackElement = document.getElementById('raceTrack');
+        if (!trackElement) return;
+
+        trackElement.style.display = visible ? 'block' : 'none';
+        ['http2', 'http3'].forEach(protocol => {
+            const bar = document.getElementById(`${protocol}RaceBar`);
+            const label = document.getElementById(`${protocol}RaceLabel`);
+            if (bar) {
+                bar.style.width = '0%';
+                bar.classList.remove('failed');
+            }
+            if (label) label.textContent = '-';
+        });
+    }
+
+    /**
+     * Estimate how far a page has loaded from the resource arrivals it reported
+     */
+    estimateProgress(result) {
+        if (result.pageProgress && result.pageProgress.total > 0) {
+            return result.pageProgress.loaded / result.pageProgress.total;
+        }
+
+        const expected = this.scenarioRegistry.getExpectedResourceCount(result.scenario);
+        return expected > 0 ? result.iframeResources.length / expected : 0;
+    }
+
+    /**
+     * Update the race progress bar of a protocol
+     */
+    updateRaceProgress(protocol, result, finished) {
+        const bar = document.getElementById(`${protocol}RaceBar`);
+        const label = document.getElementById(`${protocol}RaceLabel`);
+        if (!bar || !label) return;
+
+        if (finished) {
+            const failed = result.errors.length > 0;
+            bar.style.width = '100%';
+            bar.classList.toggle('failed', failed);
+            label.textContent = failed ? 'Failed' : `Finished in ${result.loadTime.toFixed(0)}ms`;
+            return;
+        }
+
+        // Hold back the last few percent until the page has actually loaded
+        const progress = Math.min(0.95, this.estimateProgress(result));
+        const elapsed = performance.now() - result.startTime;
+        bar.style.width = `${(progress * 100).toFixed(1)}%`;
+        label.textContent = result.pageProgress
+            ? `${result.pageProgress.loaded}/${result.pageProgress.total} resources - ${elapsed.toFixed(0)}ms`
+            : `${elapsed.toFixed(0)}ms`;
+    }
+
     /**
      * Update testing UI state
      */
@@ -454,6 +985,10 @@ class PerformanceMeasurement {
         const startButton = document.getElementById('startTest');
         const resetButton = document.getElementById('resetTest');
         const scenarioSelect = document.getElementById('testScenario');
+        const orderingSelect = document.getElementById('orderingStrategy');
+        const connectionModeSelect = document.getElementById('connectionMode');
+        const runModeSelect = document.getElementById('runMode');
+        const preflightSelect = document.getElementById('preflightMode');
 
         if (startButton) {
             startButton.disabled = testing;
@@ -465,30 +1000,45 @@ class PerformanceMeasurement {
         if (scenarioSelect) {
             scenarioSelect.disabled = testing;
         }
+        if (orderingSelect) {
+            orderingSelect.disabled = testing;
+        }
+        if (connectionModeSelect) {
+            connectionModeSelect.disabled = testing;
+        }
+        if (runModeSelect) {
+            runModeSelect.disabled = testing;
+        }
+        if (preflightSelect) {
+            preflightSelect.disabled = testing;
+        }
     }
 
     /**
-     * Show comparison results
+     * Show comparison results of a run (the current test by default), with significance over the given measurements
      */
-    showComparison() {
-        if (!this.currentTest || !this.currentTest.results.http2 || !this.currentTest.results.http3) {
+    showComparison(test = this.currentTest, measurements = this.measurements) {
+        if (!test || !test.results.http2 || !test.results.http3) {
             return;
         }
 
-        const http2Result = this.currentTest.results.http2;
-        const http3Result = this.currentTest.results.http3;
+        const http2Result = test.results.http2;
+        const http3Result = test.results.http3;
 
         // Compare load times
         const http2Faster = http2Result.loadTime < http3Result.loadTime;
         const timeDiff = Math.abs(http2Result.loadTime - http3Result.loadTime);
         const percentDiff = ((timeDiff / Math.max(http2Result.loadTime, http3Result.loadTime)) * 100).toFixed(1);
 
+        // Check whether the accumulated runs for this scenario support the difference
+        const significance = this.getSignificance(test.scenario, measurements).loadTime;
+
         // Update metric styling
         this.updateMetricComparison('LoadTime', http2Result.loadTime, http3Result.loadTime);
         this.updateMetricComparison('Connection', http2Result.connectionTime, http3Result.connectionTime);
 
         // Show results summary
-        this.showResultsSummary(http2Result, http3Result, { http2Faster, timeDiff, percentDiff });
+        this.showResultsSummary(http2Result, http3Result, { http2Faster, timeDiff, percentDiff, significance, race: test.race, preflight: test.preflight || null });
     }
 
     /**
@@ -504,14 +1054,23 @@ class PerformanceMeasurement {
             http3Element.classList.remove('faster', 'slower');
 
             // Add comparison classes
-            if (http2Value < http3Value) {
-                http2Element.classList.add('faster');
-                http3Element.classList.add('slower');
-            } else if (http3Value < http2Value) {
-                http3Element.classList.add('faster');
-                http2Element.classList.add('slower');
-            }
+            const classes = this.getComparisonClasses(http2Value, http3Value);
+            if (classes.http2) http2Element.classList.add(classes.http2);
+            if (classes.http3) http3Element.classList.add(classes.http3);
+        }
+    }
+
+    /**
+     * Get the faster/slower classes for a pair of lower-is-better values
+     */
+    getComparisonClasses(http2Value, http3Value) {
+        if (typeof http2Value !== 'number' || typeof http3Value !== 'number') {
+            return { http2: '', http3: '' };
         }
+
+        if (http2Value < http3Value) return { http2: 'faster', http3: 'slower' };
+        if (http3Value < http2Value) return { http2: 'slower', http3: 'faster' };
+        return { http2: '', http3: '' };
     }
 
     /**
@@ -535,13 +1094,20 @@ class PerformanceMeasurement {
         contentElement.innerHTML = `
             <div class="summary-header">
                 <h4>Performance Comparison Results</h4>
+                ${http2Result.order ? `<p class="summary-order">Test order: ${this.formatProtocolOrder(http2Result.order)}</p>` : ''}
+                ${comparison.race ? '<p class="summary-order">Race mode: both protocols started at the same instant</p>' : ''}
+                ${http3Result.altSvcPriming ? `<p class="summary-priming ${http3Result.altSvcPriming.status}">Alt-Svc priming: ${this.formatAltSvcPriming(http3Result.altSvcPriming)}</p>` : ''}
             </div>
             
             <div class="summary-winner">
-                <strong>${winner}</strong> was faster by <strong>${comparison.timeDiff.toFixed(0)}ms</strong> 
+                <strong>${winner}</strong> was faster by <strong>${comparison.timeDiff.toFixed(0)}ms</strong> in this run
                 (${comparison.percentDiff}% improvement)
             </div>
-            
+
+            ${comparison.significance ? this.renderSignificanceVerdict(comparison.significance) : ''}
+
+            ${comparison.race ? this.renderRaceResults(comparison.race, http2Result, http3Result) : ''}
+
             <div class="summary-metrics">
                 <div class="metric-comparison">
                     <div class="metric-row">
@@ -569,6 +1135,16 @@ class PerformanceMeasurement {
                         <span class="metric-http2">${(http2Result.totalSize / 1024).toFixed(1)} KB</span>
                         <span class="metric-http3">${(http3Result.totalSize / 1024).toFixed(1)} KB</span>
                     </div>
+                    <div class="metric-row">
+                        <span class="metric-name">Negotiated:</span>
+                        <span class="metric-http2 ${http2Result.protocolVerified === false ? 'mismatch' : ''}">${this.formatProtocolMix(http2Result.protocolMix || {})}</span>
+                        <span class="metric-http3 ${http3Result.protocolVerified === false ? 'mismatch' : ''}">${this.formatProtocolMix(http3Result.protocolMix || {})}</span>
+                    </div>
+                    <div class="metric-row">
+                        <span class="metric-name">Connection Mode:</span>
+                        <span class="metric-http2">${this.formatConnectionState(http2Result)}</span>
+                        <span class="metric-http3">${this.formatConnectionState(http3Result)}</span>
+                    </div>
                     ${http2Result.totalSize > 0 && http3Result.totalSize > 0 ? `
                     <div class="metric-row">
                         <span class="metric-name">Throughput:</span>
@@ -578,6 +1154,10 @@ class PerformanceMeasurement {
                     ` : ''}
                 </div>
             </div>
+
+            <div class="summary-vitals" id="summaryVitals">
+                ${this.renderVitalsComparison(http2Result, http3Result)}
+            </div>
             
             <div class="summary-insights">
                 <h5>Key Insights:</h5>
@@ -595,6 +1175,258 @@ class PerformanceMeasurement {
         summaryElement.style.display = 'block';
     }
 
+    /**
+     * Render the finish order and resource completion curves of a race
+     */
+    renderRaceResults(race, http2Result, http3Result) {
+        const names = { http2: 'HTTP/2', http3: 'HTTP/3' };
+        const [first, second] = race.finishOrder;
+
+        return `
+            <div class="race-results">
+                <h5>Race Results:</h5>
+                <p>Finish order: <strong>${names[first]}</strong> → ${names[second]} (${race.margin.toFixed(0)}ms apart)</p>
+                ${this.renderCompletionCurves(http2Result, http3Result)}
+                <small>Both pages loaded at the same time and shared this client's bandwidth and CPU, so each load was slower than it would be on its own. Use sequential mode to measure the protocols in isolation.</small>
+            </div>
+        `;
+    }
+
+    /**
+     * Render resource completion curves (resources finished over time) as an SVG chart
+     */
+    renderCompletionCurves(http2Result, http3Result) {
+        const curves = { http2: http2Result.completionCurve || [], http3: http3Result.completionCurve || [] };
+        const points = curves.http2.concat(curves.http3);
+
+        if (points.length === 0) {
+            return '<p class="race-curves-empty">The test pages did not report resource progress, so no completion curves are available.</p>';
+        }
+
+        const width = 400;
+        const height = 120;
+        const maxTime = Math.max(http2Result.loadTime, http3Result.loadTime, ...points.map(point => point.elapsed)) || 1;
+        const maxLoaded = Math.max(...points.map(point => point.total || point.loaded)) || 1;
+        const toPolyline = (curve) => [{ elapsed: 0, loaded: 0 }].concat(curve)
+            .map(point => `${(point.elapsed / maxTime * width).toFixed(1)},${(height - point.loaded / maxLoaded * height).toFixed(1)}`)
+            .join(' ');
+
+        return `
+            <svg class="race-curves" viewBox="0 0 ${width} ${height}" preserveAspectRatio="none" role="img" aria-label="Resource completion curves">
+                <polyline class="curve-http2" points="${toPolyline(curves.http2)}"></polyline>
+                <polyline class="curve-http3" points="${toPolyline(curves.http3)}"></polyline>
+            </svg>
+            <div class="race-curves-axis">
+                <span>0ms</span>
+                <span><span class="curve-key http2"></span>HTTP/2 <span class="curve-key http3"></span>HTTP/3 - resources finished (max ${maxLoaded})</span>
+                <span>${maxTime.toFixed(0)}ms</span>
+            </div>
+        `;
+    }
+
+    /**
+     * Render the Core Web Vitals reported by both test pages
+     */
+    renderVitalsComparison(http2Result, http3Result) {
+        const http2Vitals = http2Result.vitals || {};
+        const http3Vitals = http3Result.vitals || {};
+
+        const rows = Object.entries(this.webVitals).map(([key, vital]) => {
+            const classes = this.getComparisonClasses(http2Vitals[key], http3Vitals[key]);
+            return `
+                <div class="metric-row">
+                    <span class="metric-name" title="${vital.name}">${vital.label}:</span>
+                    <span class="metric-http2 ${classes.http2}">${this.formatVital(http2Vitals[key], vital)}</span>
+                    <span class="metric-http3 ${classes.http3}">${this.formatVital(http3Vitals[key], vital)}</span>
+                </div>
+            `;
+        }).join('');
+
+        return `
+            <h5>Core Web Vitals:</h5>
+            <div class="metric-comparison">${rows}</div>
+            ${!http2Result.vitals || !http3Result.vitals ? '<small>Waiting for the test pages to report vitals...</small>' : ''}
+        `;
+    }
+
+    /**
+     * Format a Core Web Vital value (n/a when the page did not observe it)
+     */
+    formatVital(value, vital) {
+        if (typeof value !== 'number') return 'n/a';
+        return vital.unit === 'ms' ? `${value.toFixed(0)}ms` : value.toFixed(3);
+    }
+
+    /**
+     * Update the vitals section when late vitals arrive for the run on display
+     */
+    refreshVitalsSummary(result) {
+        if (!this.currentTest || this.currentTest.results[result.protocol] !== result) return;
+
+        const { http2, http3 } = this.currentTest.results;
+        const vitalsElement = document.getElementById('summaryVitals');
+        if (vitalsElement && http2 && http3) {
+            vitalsElement.innerHTML = this.renderVitalsComparison(http2, http3);
+        }
+    }
+
+    /**
+     * Format a protocol mix, e.g. "h3 ×12, h2 ×1"
+     */
+    formatProtocolMix(mix) {
+        const entries = Object.entries(mix).sort((a, b) => b[1] - a[1]);
+        if (entries.length === 0) return '-';
+        return entries.map(([protocol, count]) => `${protocol} ×${count}`).join(', ');
+    }
+
+    /**
+     * Format the connection mode of a result and whether its connection was reused
+     */
+    formatConnectionState(result) {
+        const modes = { cold: 'Cold', warm: 'Warm', default: 'Default' };
+        const mode = modes[result.connectionMode] || 'Default';
+
+        if (result.connectionReused === true) return `${mode} (reused)`;
+        if (result.connectionReused === false) return `${mode} (new)`;
+        return `${mode} (unknown)`;
+    }
+
+    /**
+     * Format an Alt-Svc priming outcome, e.g. "h3 confirmed after 2 attempts"
+     */
+    formatAltSvcPriming(priming) {
+        const attempts = `${priming.attempts} attempt${priming.attempts === 1 ? '' : 's'}`;
+        return priming.status === 'confirmed'
+            ? `h3 confirmed after ${attempts}`
+            : `h3 unavailable after ${attempts} (last seen: ${priming.protocol})`;
+    }
+
+    /**
+     * Format a recorded protocol order, e.g. "HTTP/3 → HTTP/2 (alternating)"
+     */
+    formatProtocolOrder(order) {
+        const names = order.sequence.map(protocol => protocol === 'http2' ? 'HTTP/2' : 'HTTP/3');
+        return `${names.join(' → ')} (${order.strategy}${order.seed ? `, seed ${order.seed}` : ''})`;
+    }
+
+    /**
+     * Render the significance verdict for a metric comparison
+     */
+    renderSignificanceVerdict(significance) {
+        const label = this.statistics.describeVerdict(significance);
+        const runs = `${significance.sampleSize.http2} HTTP/2 and ${significance.sampleSize.http3} HTTP/3 runs`;
+
+        if (significance.verdict === 'insufficient-data') {
+            return `
+                <div class="summary-significance insufficient">
+                    <strong>${label}</strong> - ${runs} so far, a single-run difference may be noise.
+                </div>
+            `;
+        }
+
+        const difference = significance.difference;
+        return `
+            <div class="summary-significance ${significance.significant ? 'significant' : 'not-significant'}">
+                <strong>${label}</strong> across ${runs}:
+                median difference ${this.formatInterval(difference, significance.unit)}
+                (p = ${significance.pValue.toFixed(3)})
+            </div>
+        `;
+    }
+
+    /**
+     * Render per-metric significance results as a table
+     */
+    renderSignificanceTable(significance) {
+        const rows = Object.values(significance).map(comparison => {
+            if (comparison.verdict === 'insufficient-data') {
+                return `
+                    <tr>
+                        <td>${comparison.label}</td>
+                        <td colspan="4">${this.statistics.describeVerdict(comparison)}</td>
+                    </tr>
+                `;
+            }
+
+            return `
+                <tr class="${comparison.significant ? 'significant' : ''}">
+                    <td>${comparison.label}</td>
+                    <td>${this.formatInterval(comparison.http2, comparison.unit)}</td>
+                    <td>${this.formatInterval(comparison.http3, comparison.unit)}</td>
+                    <td>${this.formatInterval(comparison.difference, comparison.unit)}</td>
+                    <td>${comparison.pValue.toFixed(3)} - ${this.statistics.describeVerdict(comparison)}</td>
+                </tr>
+            `;
+        }).join('');
+
+        return `
+            <table class="significance-table">
+                <thead>
+                    <tr>
+                        <th>Metric</th>
+                        <th>HTTP/2 median</th>
+                        <th>HTTP/3 median</th>
+                        <th>Difference (H3 - H2)</th>
+                        <th>p-value</th>
+                    </tr>
+                </thead>
+                <tbody>${rows}</tbody>
+            </table>
+        `;
+    }
+
+    /**
+     * Render per-metric percentile distributions for both protocols as a table
+     */
+    renderPercentileTable(percentiles) {
+        const levels = this.statistics.percentileLevels;
+        const rows = Object.keys(this.statistics.metrics).map(metric => {
+            const definition = this.statistics.metrics[metric];
+
+            return ['http2', 'http3'].map((protocol, index) => {
+                const distribution = percentiles[protocol][metric];
+                const cells = distribution.count === 0
+                    ? `<td colspan="${levels.length}">No data</td>`
+                    : levels.map(level => `<td>${this.formatMetricValue(distribution[`p${level}`], definition.unit)}</td>`).join('');
+
+                return `
+                    <tr class="${protocol}">
+                        ${index === 0 ? `<td rowspan="2">${definition.label}</td>` : ''}
+                        <td>${protocol === 'http2' ? 'HTTP/2' : 'HTTP/3'} (n=${distribution.count})</td>
+                        ${cells}
+                    </tr>
+                `;
+            }).join('');
+        }).join('');
+
+        return `
+            <table class="percentile-table">
+                <thead>
+                    <tr>
+                        <th>Metric</th>
+                        <th>Protocol</th>
+                        ${levels.map(level => `<th>p${level}</th>`).join('')}
+                    </tr>
+                </thead>
+                <tbody>${rows}</tbody>
+            </table>
+        `;
+    }
+
+    /**
+     * Format a metric value for display based on its unit
+     */
+    formatMetricValue(value, unit) {
+        return unit === 'bytes' ? `${(value / 1024).toFixed(1)} KB` : `${value.toFixed(0)}ms`;
+    }
+
+    /**
+     * Format a bootstrap interval as "estimate [lower, upper]"
+     */
+    formatInterval(interval, unit = 'ms') {
+        return `${interval.estimate.toFixed(0)}${unit} [${interval.lower.toFixed(0)}, ${interval.upper.toFixed(0)}]`;
+    }
+
     /**
      * Generate insights based on test results
      */
@@ -619,11 +1451,55 @@ class PerformanceMeasurement {
 
         // Performance difference insights
         if (comparison.percentDiff > 20) {
-            insights.push(`<li>Significant performance difference (${comparison.percentDiff}%) - protocol choice matters for this scenario</li>`);
+            insights.push(`<li>Large performance difference (${comparison.percentDiff}%) in this run - confirm with multiple tests before drawing conclusions</li>`);
         } else if (comparison.percentDiff < 5) {
             insights.push(`<li>Similar performance (${comparison.percentDiff}% difference) - both protocols perform well for this scenario</li>`);
         }
 
+        // Negotiated protocol insights
+        if (http3Result.protocolVerified === false && http3Result.connectionMode === 'cold') {
+            insights.push(`<li>The cold HTTP/3 run was served over ${http3Result.navigationProtocol}, not h3 - a fresh origin has no Alt-Svc entry yet, so browsers rarely use h3 on first contact. This run is excluded from statistics</li>`);
+        } else if (http3Result.protocolVerified === false) {
+            insights.push(`<li>The HTTP/3 panel was served over ${http3Result.navigationProtocol}, not h3 (Alt-Svc may not have taken effect yet) - this run is excluded from statistics</li>`);
+        } else if (http3Result.protocolVerified === null) {
+            insights.push(`<li>The browser did not report the negotiated protocol for the HTTP/3 panel - h3 could not be verified</li>`);
+        }
+        if (http2Result.protocolVerified === false) {
+            insights.push(`<li>The HTTP/2 panel was served over ${http2Result.navigationProtocol}, not h2 - this run is excluded from statistics</li>`);
+        }
+        [http2Result, http3Result].forEach(result => {
+            if (result.pageErrors && result.pageErrors.length > 0) {
+                const name = result.protocol === 'http2' ? 'HTTP/2' : 'HTTP/3';
+                insights.push(`<li>The ${name} test page reported ${result.pageErrors.length} error(s): ${result.pageErrors[0]}</li>`);
+            }
+        });
+        if (http3Result.altSvcPriming && http3Result.altSvcPriming.status === 'unavailable') {
+            insights.push(`<li>h3 was never negotiated during Alt-Svc priming - check that UDP port 8444 is reachable and QUIC is enabled in the browser</li>`);
+        }
+
+        // Scenario declaration problems
+        const preflight = comparison.preflight;
+        if (preflight && !preflight.valid) {
+            insights.push(`<li>Preflight found ${preflight.errors} missing or unreachable declared resource(s) for this scenario - the pages did not load what the manifest describes</li>`);
+        } else if (preflight && preflight.warnings > 0) {
+            insights.push(`<li>Preflight found ${preflight.warnings} content-type or size mismatch(es) against the scenario manifest</li>`);
+        }
+
+        // Runs that cannot be trusted
+        if (http2Result.valid === false || http3Result.valid === false) {
+            insights.push(`<li>${http2Result.invalidReason || http3Result.invalidReason} - this run is marked invalid and excluded from statistics</li>`);
+        }
+
+        // Connection mode insights
+        [http2Result, http3Result].forEach(result => {
+            const name = result.protocol === 'http2' ? 'HTTP/2' : 'HTTP/3';
+            if (result.connectionMode === 'cold' && result.connectionReused === true) {
+                insights.push(`<li>${name} reused a connection despite cold mode - this run is not a true cold start</li>`);
+            } else if (result.connectionMode === 'warm' && result.connectionReused === false) {
+                insights.push(`<li>${name} opened a new connection despite warm mode - priming did not take effect</li>`);
+            }
+        });
+
         // Error insights
         if (http2Result.errors.length > 0 || http3Result.errors.length > 0) {
             insights.push(`<li>Connection issues detected - check server configuration</li>`);
@@ -642,7 +1518,7 @@ class PerformanceMeasurement {
         if (summaryElement && contentElement) {
             contentElement.innerHTML = `
                 <div class="error-message">
-                    <strong>Test Error:</strong> ${message}
+                    <strong>Test Error:</strong> ${escapeHtml(message)}
                     <br><small>Please ensure both servers are running and accessible.</small>
                 </div>
             `;
@@ -673,10 +1549,10 @@ class PerformanceMeasurement {
             this.updateProtocolStatus(protocol, '', 'Ready');
             
             // Clear metric styling
-            ['LoadTime', 'Connection', 'FirstByte', 'ResourceCount', 'TotalSize'].forEach(metric => {
+            ['LoadTime', 'Connection', 'FirstByte', 'ResourceCount', 'TotalSize', 'Negotiated'].forEach(metric => {
                 const element = document.getElementById(`${protocol}${metric}`);
                 if (element) {
-                    element.classList.remove('faster', 'slower', 'winner');
+                    element.classList.remove('faster', 'slower', 'winner', 'mismatch');
                     element.textContent = '-';
                 }
             });
@@ -688,6 +1564,16 @@ class PerformanceMeasurement {
             }
         });
 
+        // Clear waterfalls and race progress (the track stays visible while race mode is selected)
+        this.waterfall.reset();
+        const preflightElement = document.getElementById('preflightReport');
+        if (preflightElement) {
+            preflightElement.innerHTML = '';
+            preflightElement.style.display = 'none';
+        }
+        const trackElement = document.getElementById('raceTrack');
+        this.showRaceTrack(!!trackElement && trackElement.style.display !== 'none');
+
         // Hide results
         const summaryElement = document.getElementById('resultsSummary');
         if (summaryElement) {
@@ -702,16 +1588,91 @@ class PerformanceMeasurement {
      * Get performance statistics
      */
     getStatistics() {
-        const http2Stats = this.calculateStats(this.measurements.http2);
-        const http3Stats = this.calculateStats(this.measurements.http3);
+        const http2Stats = this.calculateStats(this.measurements.http2.filter(m => m.valid !== false));
+        const http3Stats = this.calculateStats(this.measurements.http3.filter(m => m.valid !== false));
+
+        const significance = {};
+        this.getMeasuredScenarios().forEach(scenario => {
+            significance[scenario] = this.getSignificance(scenario);
+        });
+
+        const percentiles = {};
+        this.getMeasuredScenarios().forEach(scenario => {
+            percentiles[scenario] = this.getPercentiles(scenario);
+        });
+
+        // Merged results are also summarized per source, so machines and browsers can be told apart
+        const sources = this.getSources();
+        const bySource = {};
+        if (sources.length > 1) {
+            sources.forEach(source => {
+                const key = this.getSourceKey(source);
+                const measurements = this.getSourceMeasurements(key);
+                bySource[key] = {};
+                this.getMeasuredScenarios(measurements).forEach(scenario => {
+                    bySource[key][scenario] = {
+                        significance: this.getSignificance(scenario, measurements),
+                        percentiles: this.getPercentiles(scenario, measurements)
+                    };
+                });
+            });
+        }
 
         return {
             http2: http2Stats,
             http3: http3Stats,
-            totalTests: this.measurements.http2.length
+            totalTests: this.measurements.http2.length,
+            significance,
+            percentiles,
+            bySource
         };
     }
 
+    /**
+     * Get the scenarios that have stored measurements
+     */
+    getMeasuredScenarios(measurements = this.measurements) {
+        const scenarios = new Set();
+        measurements.http2.concat(measurements.http3).forEach(m => scenarios.add(m.scenario));
+        return Array.from(scenarios);
+    }
+
+    /**
+     * Test whether HTTP/2 and HTTP/3 differ significantly for a scenario
+     */
+    getSignificance(scenario, measurements = this.measurements) {
+        return this.statistics.compareMeasurements(
+            this.getScenarioMeasurements('http2', scenario, measurements),
+            this.getScenarioMeasurements('http3', scenario, measurements)
+        );
+    }
+
+    /**
+     * Get p50/p75/p90/p95/p99 distributions of every metric per protocol for a scenario
+     */
+    getPercentiles(scenario, measurements = this.measurements) {
+        return {
+            http2: this.statistics.describeMeasurements(this.getScenarioMeasurements('http2', scenario, measurements)),
+            http3: this.statistics.describeMeasurements(this.getScenarioMeasurements('http3', scenario, measurements))
+        };
+    }
+
+    /**
+     * Get the successful measurements of a protocol for a scenario (from this session unless others are given)
+     */
+    getScenarioMeasurements(protocol, scenario, measurements = this.measurements) {
+        return measurements[protocol].filter(m => m.scenario === scenario && this.isComparableMeasurement(m));
+    }
+
+    /**
+     * Check whether a measurement is valid, error-free and (optionally) on the protocol it was meant to test
+     */
+    isComparableMeasurement(m) {
+        return m.valid !== false &&
+            (!m.errors || m.errors.length === 0) &&
+            !(this.excludeProtocolMismatches && m.protocolVerified === false);
+    }
+
     /**
      * Calculate statistics for measurements
      */
@@ -738,12 +1699,15 @@ class PerformanceMeasurement {
      */
     exportResults() {
         const results = {
+            format: this.resultsSchema.format,
+            schemaVersion: this.resultsSchema.version,
             timestamp: new Date().toISOString(),
             currentTest: this.currentTest,
             measurements: this.measurements,
             statistics: this.getStatistics(),
             testScenarios: this.testScenarios,
             browserInfo: {
+                ...this.getBrowserName(navigator.userAgent),
                 userAgent: navigator.userAgent,
                 platform: navigator.platform,
                 language: navigator.language,
@@ -753,45 +1717,335 @@ class PerformanceMeasurement {
         };
 
         // Create downloadable JSON file
-        const dataStr = JSON.stringify(results, null, 2);
-        const dataBlob = new Blob([dataStr], { type: 'application/json' });
+        this.downloadFile(JSON.stringify(results, null, 2), 'application/json', `http-performance-test-${this.getExportStamp()}.json`);
+
+        console.log('Test results exported');
+        return results;
+    }
+
+    /**
+     * Export the measurements as two CSV files: one row per run, and one row per resource of each run
+     */
+    exportCsv() {
+        const columns = this.getCsvColumns();
+        const runs = [];
+        const resources = [];
+
+        ['http2', 'http3'].forEach(protocol => {
+            this.measurements[protocol].forEach((m, index) => {
+                // Imports that predate run IDs still need a key that joins runs and resources
+                const runId = m.runId || `${protocol}-${index + 1}`;
+                runs.push({ ...m, runId });
+                (m.resources || []).forEach((resource, resourceIndex) => {
+                    resources.push({ ...resource, runId, protocol, scenario: m.scenario, resourceIndex });
+                });
+            });
+        });
+
+        const stamp = this.getExportStamp();
+        this.downloadFile(this.toCsv(columns.runs, runs), 'text/csv', `http-performance-runs-${stamp}.csv`);
+        this.downloadFile(this.toCsv(columns.resources, resources), 'text/csv', `http-performance-resources-${stamp}.csv`);
+
+        console.log(`Exported ${runs.length} runs and ${resources.length} resources as CSV`);
+        return { runs: runs.length, resources: resources.length };
+    }
+
+    /**
+     * CSV columns and how each value is read; names and order are documented in the README and must stay stable
+     */
+    getCsvColumns() {
+        const vital = (key) => (m) => m.vitals ? m.vitals[key] : null;
+        const simulation = (key) => (m) => m.networkSimulation ? m.networkSimulation[key] : null;
+
+        return {
+            runs: [
+                ['run_id', m => m.runId],
+                ['protocol', m => m.protocol],
+                ['scenario', m => m.scenario],
+                ['source', m => m.source ? m.source.label : this.sessionSourceLabel],
+                ['start_time_ms', m => m.startTime],
+                ['connection_mode', m => m.connectionMode],
+                ['order_strategy', m => m.order ? m.order.strategy : null],
+                ['order_position', m => m.order ? m.order.position : null],
+                ['load_time_ms', m => m.loadTime],
+                ['connection_time_ms', m => m.connectionTime],
+                ['first_byte_time_ms', m => m.firstByteTime],
+                ['dom_content_loaded_ms', m => m.domContentLoaded],
+                ['dom_complete_ms', m => m.domComplete],
+                ['resource_count', m => m.resourceCount],
+                ['total_size_bytes', m => m.totalSize],
+                ['navigation_protocol', m => m.navigationProtocol],
+                ['protocol_verified', m => m.protocolVerified],
+                ['connection_reused', m => m.connectionReused],
+                ['valid', m => m.valid !== false],
+                ['error_count', m => (m.errors || []).length],
+                ['errors', m => (m.errors || []).join('; ')],
+                ['fcp_ms', vital('fcp')],
+                ['lcp_ms', vital('lcp')],
+                ['cls', vital('cls')],
+                ['inp_ms', vital('inp')],
+                ['ttfb_ms', vital('ttfb')],
+                ['sim_latency_ms', simulation('latency')],
+                ['sim_bandwidth_bytes_per_s', simulation('bandwidth')],
+                ['sim_packet_loss', simulation('packetLoss')]
+            ],
+            resources: [
+                ['run_id', r => r.runId],
+                ['protocol', r => r.protocol],
+                ['scenario', r => r.scenario],
+                ['resource_index', r => r.resourceIndex],
+                ['name', r => r.name],
+                ['type', r => r.type],
+                ['size_bytes', r => r.size],
+                ['start_time_ms', r => r.startTime],
+                ['duration_ms', r => r.duration],
+                ['connect_start_ms', r => r.connectStart],
+                ['connect_end_ms', r => r.connectEnd],
+                ['request_start_ms', r => r.requestStart],
+                ['response_start_ms', r => r.responseStart],
+                ['response_end_ms', r => r.responseEnd],
+                ['connection_reused', r => r.connectionReused],
+                ['next_hop_protocol', r => r.nextHopProtocol],
+                ['response_status', r => r.responseStatus]
+            ]
+        };
+    }
+
+    /**
+     * Write rows as CSV (RFC 4180); missing and non-finite values become empty fields
+     */
+    toCsv(columns, rows) {
+        const escape = (value) => {
+            if (value === null || value === undefined) return '';
+            // NaN and Infinity are not measurements either
+            if (typeof value === 'number' && !isFinite(value)) return '';
+            const text = String(value);
+            return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+
+        return [columns.map(([name]) => name)]
+            .concat(rows.map(row => columns.map(([, read]) => escape(read(row)))))
+            .map(fields => fields.join(','))
+            .join('\r\n') + '\r\n';
+    }
+
+    /**
+     * Timestamp used in export file names
+     */
+    getExportStamp() {
+        return new Date().toISOString().slice(0, 19).replace(/:/g, '-');
+    }
+
+    /**
+     * Offer text content as a file download
+     */
+    downloadFile(content, type, fileName) {
+        const dataBlob = new Blob([content], { type });
         const url = URL.createObjectURL(dataBlob);
-        
+
         const link = document.createElement('a');
         link.href = url;
-        link.download = `http-performance-test-${new Date().toISOString().slice(0, 19).replace(/:/g, '-')}.json`;
+        link.download = fileName;
         document.body.appendChild(link);
         link.click();
         document.body.removeChild(link);
         URL.revokeObjectURL(url);
+    }
 
-        console.log('Test results exported');
+    /**
+     * Import test results from file, migrating older exports to the current schema version
+     */
+    async importResults(file) {
+        const text = await this.readFile(file);
+        const results = await this.resultsSchema.parse(text, file.name);
+
+        this.measurements = results.measurements;
+        console.log('Test results imported successfully');
         return results;
     }
 
     /**
-     * Import test results from file
+     * Merge exported results from several files into the session, skipping runs that are already present.
+     * Every file is validated before anything is merged, so one invalid file rejects the whole merge.
+     */
+    async mergeResults(files) {
+        const parsed = [];
+        for (const file of files) {
+            parsed.push({ file, results: await this.resultsSchema.parse(await this.readFile(file), file.name) });
+        }
+
+        const seen = {
+            http2: new Set(this.measurements.http2.map(m => this.getMeasurementKey(m))),
+            http3: new Set(this.measurements.http3.map(m => this.getMeasurementKey(m)))
+        };
+
+        const merged = parsed.map(({ file, results }) => {
+            const source = this.createSource(results, file.name);
+            const summary = { file: file.name, source, added: 0, duplicates: 0 };
+
+            ['http2', 'http3'].forEach(protocol => {
+                results.measurements[protocol].forEach(m => {
+                    const key = this.getMeasurementKey(m);
+                    if (seen[protocol].has(key)) {
+                        summary.duplicates++;
+                        return;
+                    }
+                    seen[protocol].add(key);
+                    // Runs merged into the file earlier keep the source they were recorded on
+                    this.measurements[protocol].push({ ...m, source: m.source || source });
+                    summary.added++;
+                });
+            });
+
+            return summary;
+        });
+
+        console.log('Test results merged:', merged);
+        return merged;
+    }
+
+    /**
+     * Identify a measurement across files: by run ID, or by its timings for exports that predate run IDs
+     */
+    getMeasurementKey(m) {
+        if (m.runId) return m.runId;
+        return JSON.stringify([m.protocol, m.scenario, m.startTime, m.loadTime, m.connectionTime, m.firstByteTime, m.totalSize]);
+    }
+
+    /**
+     * Describe where a merged file came from, from its browser info; the file name is only its label
+     */
+    createSource(results, fileName) {
+        const info = results.browserInfo || {};
+        const browser = info.browser ? info : this.getBrowserName(info.userAgent || '');
+        const source = {
+            label: fileName,
+            file: fileName,
+            machine: info.platform || 'Unknown',
+            browser: this.formatBrowser(browser),
+            exportedAt: results.timestamp || null
+        };
+
+        source.id = [source.machine, source.browser, source.exportedAt || 'unknown export time'].join(' | ');
+        return source;
+    }
+
+    /**
+     * Key that tells sources apart: the exporting machine, browser and export time, so files that
+     * share a name stay separate. Sources merged before sources had an ID fall back to their label.
+     */
+    getSourceKey(source) {
+        return source.id || source.label;
+    }
+
+    /**
+     * Get the browser name and major version from a user agent
+     */
+    getBrowserName(userAgent) {
+        const checker = window.compatibilityChecker;
+        return checker ? checker.getBrowserInfo(userAgent) : { browser: 'Unknown', version: 'Unknown' };
+    }
+
+    /**
+     * Format a browser name and version, e.g. "Chrome 120"
      */
-    importResults(file) {
+    formatBrowser(info) {
+        return info.browser && info.browser !== 'Unknown' ? `${info.browser} ${info.version}` : 'Unknown';
+    }
+
+    /**
+     * Get the sources of the stored measurements; runs measured in this session have none
+     */
+    getSources() {
+        const sources = new Map();
+        this.measurements.http2.concat(this.measurements.http3).forEach(m => {
+            const source = m.source || this.getSessionSource();
+            const key = this.getSourceKey(source);
+            if (!sources.has(key)) sources.set(key, source);
+        });
+        return Array.from(sources.values());
+    }
+
+    /**
+     * Describe this browser as the source of runs measured in this session
+     */
+    getSessionSource() {
+        return {
+            id: 'session',
+            label: this.sessionSourceLabel,
+            machine: navigator.platform,
+            browser: this.formatBrowser(this.getBrowserName(navigator.userAgent))
+        };
+    }
+
+    /**
+     * Get the stored measurements of one source, by its key
+     */
+    getSourceMeasurements(key) {
+        const fromSource = m => (m.source ? this.getSourceKey(m.source) : 'session') === key;
+        return {
+            http2: this.measurements.http2.filter(fromSource),
+            http3: this.measurements.http3.filter(fromSource)
+        };
+    }
+
+    /**
+     * Render the load time comparison of every source and scenario as a table
+     */
+    renderSourceTable() {
+        const rows = this.getSources().map(source => {
+            const measurements = this.getSourceMeasurements(this.getSourceKey(source));
+
+            return this.getMeasuredScenarios(measurements).map(scenario => {
+                const comparison = this.getSignificance(scenario, measurements).loadTime;
+                const cells = comparison.verdict === 'insufficient-data'
+                    ? `<td colspan="3">${this.statistics.describeVerdict(comparison)}</td>`
+                    : `
+                        <td>${this.formatInterval(comparison.http2, comparison.unit)}</td>
+                        <td>${this.formatInterval(comparison.http3, comparison.unit)}</td>
+                        <td>${this.formatInterval(comparison.difference, comparison.unit)} - ${this.statistics.describeVerdict(comparison)}</td>
+                    `;
+
+                return `
+                    <tr class="${comparison.significant ? 'significant' : ''}">
+                        <td>${escapeHtml(source.label)}</td>
+                        <td>${escapeHtml(source.machine)}</td>
+                        <td>${escapeHtml(source.browser)}</td>
+                        <td>${escapeHtml(this.testScenarios[scenario] ? this.testScenarios[scenario].name : scenario)}</td>
+                        <td>${comparison.sampleSize.http2}/${comparison.sampleSize.http3}</td>
+                        ${cells}
+                    </tr>
+                `;
+            }).join('');
+        }).join('');
+
+        return `
+            <table class="significance-table source-table">
+                <thead>
+                    <tr>
+                        <th>Source</th>
+                        <th>Machine</th>
+                        <th>Browser</th>
+                        <th>Scenario</th>
+                        <th>Runs (H2/H3)</th>
+                        <th>HTTP/2 median</th>
+                        <th>HTTP/3 median</th>
+                        <th>Difference (H3 - H2)</th>
+                    </tr>
+                </thead>
+                <tbody>${rows}</tbody>
+            </table>
+        `;
+    }
+
+    /**
+     * Read a file as text
+     */
+    readFile(file) {
         return new Promise((resolve, reject) => {
             const reader = new FileReader();
-            reader.onload = (e) => {
-                try {
-                    const results = JSON.parse(e.target.result);
-                    
-                    // Validate structure
-                    if (results.measurements && results.measurements.http2 && results.measurements.http3) {
-                        this.measurements = results.measurements;
-                        console.log('Test results imported successfully');
-                        resolve(results);
-                    } else {
-                        reject(new Error('Invalid results file format'));
-                    }
-                } catch (error) {
-                    reject(new Error('Failed to parse results file'));
-                }
-            };
-            reader.onerror = () => reject(new Error('Failed to read file'));
+            reader.onload = (e) => resolve(e.target.result);
+            reader.onerror = () => reject(new Error(`Failed to read ${file.name}`));
             reader.readAsText(file);
         });
     }
@@ -0,0 +1,178 @@
+/**
+ * Scenario Preflight Module
+ * Checks with HEAD requests that every page and resource a scenario declares is served correctly by both servers
+ */
+
+class ScenarioPreflight {
+    constructor(scenarioRegistry, serverOrigins) {
+        this.scenarioRegistry = scenarioRegistry;
+        this.serverOrigins = serverOrigins;
+        this.requestTimeout = 5000;
+        // Reports without errors are reused for the rest of the session; failing scenarios are checked again
+        this.reports = new Map();
+        this.contentTypes = {
+            document: ['text/html'],
+            stylesheet: ['text/css'],
+            script: ['javascript', 'ecmascript'],
+            image: ['image/'],
+            font: ['font/', 'application/font', 'woff', 'opentype', 'truetype'],
+            xhr: ['json', 'xml']
+        };
+    }
+
+    /**
+     * Check a scenario on both servers, reusing an earlier passing report unless forced
+     */
+    async check(scenarioId, signal = null, force = false) {
+        const cached = this.reports.get(scenarioId);
+        if (cached && !force) return cached;
+
+        const scenario = this.scenarioRegistry.get(scenarioId);
+        const entries = [{ path: scenario.testUrl, type: 'document', size: null }].concat(scenario.resources);
+
+        const checks = [];
+        Object.entries(this.serverOrigins).forEach(([protocol, origin]) => {
+            entries.forEach(entry => checks.push(this.checkResource(protocol, origin, entry, signal)));
+        });
+
+        const results = await Promise.all(checks);
+        if (signal && signal.aborted) {
+            const error = new Error('Test cancelled');
+            error.name = 'AbortError';
+            throw error;
+        }
+
+        const report = {
+            scenario: scenarioId,
+            checkedAt: new Date().toISOString(),
+            results,
+            errors: results.reduce((count, result) => count + result.problems.filter(problem => problem.severity === 'error').length, 0),
+            warnings: results.reduce((count, result) => count + result.problems.filter(problem => problem.severity === 'warning').length, 0)
+        };
+        report.valid = report.errors === 0;
+
+        if (report.valid) {
+            this.reports.set(scenarioId, report);
+        } else {
+            this.reports.delete(scenarioId);
+        }
+
+        return report;
+    }
+
+    /**
+     * Issue a HEAD request for one declared entry and compare the response with the declaration
+     */
+    async checkResource(protocol, origin, entry, signal) {
+        const url = `${origin}/${entry.path}`;
+        const result = { protocol, path: entry.path, url, status: null, contentType: null, contentEncoding: null, size: null, problems: [] };
+
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), this.requestTimeout);
+        const onAbort = () => controller.abort();
+        if (signal) signal.addEventListener('abort', onAbort, { once: true });
+
+        try {
+            const response = await fetch(url, { method: 'HEAD', cache: 'no-store', signal: controller.signal });
+            const length = response.headers.get('content-length');
+
+            result.status = response.status;
+            result.contentType = response.headers.get('content-type');
+            result.contentEncoding = response.headers.get('content-encoding');
+            // A compressed response's Content-Length is its transfer size, or is left out altogether
+            const encoded = result.contentEncoding && result.contentEncoding !== 'identity';
+            result.size = length !== null && !encoded ? parseInt(length, 10) : null;
+
+            // Declared sizes are decoded sizes, so download the body when the headers cannot tell
+            if (result.status === 200 && result.size === null && typeof entry.size === 'number') {
+                result.size = await this.getDecodedSize(url, controller.signal);
+            }
+        } catch (error) {
+            const timedOut = controller.signal.aborted && !(signal && signal.aborted);
+            result.problems.push({ severity: 'error', message: timedOut ? `no response within ${this.requestTimeout}ms` : `request failed: ${error.message}` });
+            return result;
+        } finally {
+            clearTimeout(timer);
+            if (signal) signal.removeEventListener('abort', onAbort);
+        }
+
+        if (result.status !== 200) {
+            result.problems.push({ severity: 'error', message: result.status === 404 ? 'missing (HTTP 404)' : `HTTP ${result.status}` });
+            return result;
+        }
+
+        const expectedTypes = this.contentTypes[entry.type];
+        const contentType = (result.contentType || '').toLowerCase();
+        if (expectedTypes && !expectedTypes.some(expected => contentType.includes(expected))) {
+            result.problems.push({ severity: 'warning', message: `content-type ${result.contentType || 'missing'}, expected ${entry.type}` });
+        }
+
+        if (entry.size !== null && entry.size !== undefined && result.size !== null && result.size !== entry.size) {
+            result.problems.push({ severity: 'warning', message: `size ${result.size} bytes, manifest declares ${entry.size}` });
+        }
+
+        return result;
+    }
+
+    /**
+     * Download a resource and return the size of its decoded body
+     */
+    async getDecodedSize(url, signal) {
+        const response = await fetch(url, { cache: 'no-store', signal });
+        const body = await response.arrayBuffer();
+        return body.byteLength;
+    }
+
+    /**
+     * Forget cached reports, e.g. after the scenario manifest changed
+     */
+    invalidate(scenarioId = null) {
+        if (scenarioId) {
+            this.reports.delete(scenarioId);
+        } else {
+            this.reports.clear();
+        }
+    }
+
+    /**
+     * Render the problems of a report, grouped by server
+     */
+    renderReport(report) {
+        const problems = report.results.filter(result => result.problems.length > 0);
+
+        if (problems.length === 0) {
+            return `<div class="preflight-report ok">Preflight: all declared resources of ${escapeHtml(report.scenario)} are served by both servers</div>`;
+        }
+
+        const rows = problems.map(result => result.problems.map(problem => `
+            <tr class="${problem.severity}">
+                <td>${result.protocol === 'http2' ? 'HTTP/2' : 'HTTP/3'}</td>
+                <td>${escapeHtml(result.path)}</td>
+                <td>${result.status === null ? '-' : result.status}</td>
+                <td>${escapeHtml(problem.message)}</td>
+            </tr>
+        `).join('')).join('');
+
+        return `
+            <div class="preflight-report ${report.valid ? 'warning' : 'error'}">
+                <h5>Preflight of ${escapeHtml(report.scenario)}: ${report.errors} error${report.errors === 1 ? '' : 's'}, ${report.warnings} warning${report.warnings === 1 ? '' : 's'}</h5>
+                <table class="preflight-table">
+                    <thead>
+                        <tr>
+                            <th>Server</th>
+                            <th>Resource</th>
+                            <th>Status</th>
+                            <th>Problem</th>
+                        </tr>
+                    </thead>
+                    <tbody>${rows}</tbody>
+                </table>
+            </div>
+        `;
+    }
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ScenarioPreflight;
+}
\ No newline at end of file
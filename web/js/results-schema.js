@@ -0,0 +1,246 @@
+/**
+ * Results Schema Module
+ * Versions exported results, migrates older exports and validates imports against results-schema.json
+ */
+
+class ResultsSchema {
+    constructor(schemaUrl = 'results-schema.json') {
+        this.schemaUrl = schemaUrl;
+        this.format = 'h2-vs-h3-results';
+        this.version = 2;
+        this.schema = null;
+        // Each migration upgrades an export of the keyed version by one version
+        this.migrations = {
+            1: (data) => this.migrateV1(data)
+        };
+        this.typeNames = {
+            string: 'a string',
+            number: 'a number',
+            integer: 'an integer',
+            boolean: 'a boolean',
+            object: 'an object',
+            array: 'a list',
+            null: 'null'
+        };
+        // How many field errors an import error message lists before summarizing the rest
+        this.maxReportedErrors = 5;
+    }
+
+    /**
+     * Load the JSON Schema definition of the current version
+     */
+    async load() {
+        if (this.schema) return this.schema;
+
+        const response = await fetch(this.schemaUrl, { cache: 'no-store' });
+        if (!response.ok) {
+            throw new Error(`Could not load results schema ${this.schemaUrl} (HTTP ${response.status})`);
+        }
+
+        this.schema = await response.json();
+        return this.schema;
+    }
+
+    /**
+     * Get the schema version of an export; exports without one predate versioning and count as version 1
+     */
+    detectVersion(data) {
+        return data.schemaVersion === undefined ? 1 : data.schemaVersion;
+    }
+
+    /**
+     * Upgrade an export to the current version, one migration at a time
+     */
+    migrate(data) {
+        let version = this.detectVersion(data);
+        let migrated = data;
+
+        while (version < this.version) {
+            const migration = this.migrations[version];
+            if (!migration) {
+                throw new Error(`No migration from results schema version ${version}`);
+            }
+            migrated = migration(migrated);
+            version++;
+        }
+
+        return migrated;
+    }
+
+    /**
+     * Version 1 (unversioned exports): add format and version, and the per-measurement lists early exports left out
+     */
+    migrateV1(data) {
+        const migrated = { ...data, format: this.format, schemaVersion: 2 };
+
+        if (data.measurements && typeof data.measurements === 'object') {
+            migrated.measurements = { ...data.measurements };
+            ['http2', 'http3'].forEach(protocol => {
+                const list = data.measurements[protocol];
+                if (Array.isArray(list)) {
+                    migrated.measurements[protocol] = list.map(m => m && typeof m === 'object' && !Array.isArray(m)
+                        ? { protocol, resources: [], errors: [], ...m }
+                        : m);
+                }
+            });
+        }
+
+        return migrated;
+    }
+
+    /**
+     * Validate data against the schema, returning a list of { path, message } field errors
+     */
+    validate(data, schema = this.schema) {
+        const errors = [];
+        this.validateNode(data, schema, '', errors);
+        // Keep the first problem per field; later ones usually follow from it
+        return errors.filter((error, index) => errors.findIndex(other => other.path === error.path) === index);
+    }
+
+    /**
+     * Validate one value against a schema node (the subset of JSON Schema that results-schema.json uses)
+     */
+    validateNode(value, node, path, errors) {
+        if (node.$ref) {
+            this.validateNode(value, this.resolveRef(node.$ref), path, errors);
+            return;
+        }
+        if (node.allOf) {
+            node.allOf.forEach(part => this.validateNode(value, part, path, errors));
+        }
+
+        if (node.const !== undefined && value !== node.const) {
+            errors.push({ path, message: `must be ${JSON.stringify(node.const)}, found ${this.describeValue(value)}` });
+            return;
+        }
+        if (node.enum && !node.enum.includes(value)) {
+            errors.push({ path, message: `must be one of ${node.enum.map(option => JSON.stringify(option)).join(', ')}, found ${this.describeValue(value)}` });
+            return;
+        }
+        if (node.type) {
+            const types = Array.isArray(node.type) ? node.type : [node.type];
+            if (!types.some(type => this.matchesType(value, type))) {
+                errors.push({ path, message: `must be ${types.map(type => this.typeNames[type] || type).join(' or ')}, found ${this.describeValue(value)}` });
+                return;
+            }
+        }
+
+        if (typeof value === 'number') {
+            if (node.minimum !== undefined && value < node.minimum) {
+                errors.push({ path, message: `must be at least ${node.minimum}, found ${value}` });
+            }
+        } else if (typeof value === 'string') {
+            if (node.minLength !== undefined && value.length < node.minLength) {
+                errors.push({ path, message: 'must not be empty' });
+            }
+        } else if (Array.isArray(value)) {
+            if (node.items) {
+                value.forEach((item, index) => this.validateNode(item, node.items, `${path}[${index}]`, errors));
+            }
+        } else if (value && typeof value === 'object') {
+            (node.required || []).forEach(key => {
+                if (value[key] === undefined) {
+                    errors.push({ path: this.joinPath(path, key), message: 'is required' });
+                }
+            });
+            Object.entries(node.properties || {}).forEach(([key, property]) => {
+                if (value[key] !== undefined) {
+                    this.validateNode(value[key], property, this.joinPath(path, key), errors);
+                }
+            });
+        }
+    }
+
+    /**
+     * Resolve a local reference such as #/definitions/measurement
+     */
+    resolveRef(ref) {
+        if (!ref.startsWith('#/')) {
+            throw new Error(`Unsupported schema reference ${ref}`);
+        }
+        return ref.slice(2).split('/').reduce((node, key) => node[key], this.schema);
+    }
+
+    /**
+     * Check a value against a JSON Schema type name
+     */
+    matchesType(value, type) {
+        switch (type) {
+            case 'null': return value === null;
+            case 'array': return Array.isArray(value);
+            case 'object': return value !== null && typeof value === 'object' && !Array.isArray(value);
+            case 'integer': return Number.isInteger(value);
+            case 'number': return typeof value === 'number' && isFinite(value);
+            default: return typeof value === type;
+        }
+    }
+
+    /**
+     * Describe a value briefly for an error message
+     */
+    describeValue(value) {
+        if (value === undefined) return 'nothing';
+        if (value === null) return 'null';
+        if (Array.isArray(value)) return 'a list';
+        if (typeof value === 'object') return 'an object';
+        const text = JSON.stringify(value);
+        return text.length > 40 ? `${text.slice(0, 37)}...` : text;
+    }
+
+    /**
+     * Append a property name to a field path
+     */
+    joinPath(path, key) {
+        return path ? `${path}.${key}` : key;
+    }
+
+    /**
+     * Parse, migrate and validate exported results; errors name the file and the offending fields
+     */
+    async parse(text, source = 'results file') {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (error) {
+            throw new Error(`${source} is not valid JSON: ${error.message}`);
+        }
+
+        if (!data || typeof data !== 'object' || Array.isArray(data)) {
+            throw new Error(`${source} does not contain a results object`);
+        }
+        if (data.format !== undefined && data.format !== this.format) {
+            throw new Error(`${source} is a ${JSON.stringify(data.format)} file, not exported results`);
+        }
+
+        const version = this.detectVersion(data);
+        if (!Number.isInteger(version) || version < 1) {
+            throw new Error(`${source} has an invalid schemaVersion ${JSON.stringify(data.schemaVersion)}`);
+        }
+        if (version > this.version) {
+            throw new Error(`${source} uses results schema version ${version}, newer than the supported version ${this.version}`);
+        }
+
+        await this.load();
+        const migrated = this.migrate(data);
+        const errors = this.validate(migrated);
+
+        if (errors.length > 0) {
+            const listed = errors.slice(0, this.maxReportedErrors).map(error => `${error.path || '(root)'} ${error.message}`);
+            const more = errors.length - listed.length;
+            const error = new Error(`${source} does not match results schema version ${this.version}: ${listed.join('; ')}${more > 0 ? ` (and ${more} more)` : ''}`);
+            error.fieldErrors = errors;
+            throw error;
+        }
+
+        if (version < this.version) {
+            console.log(`Migrated ${source} from results schema version ${version} to ${this.version}`);
+        }
+        return migrated;
+    }
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ResultsSchema;
+}
\ No newline at end of file
@@ -0,0 +1,473 @@
+/**
+ * Scenario Builder Module
+ * Composes custom scenarios from test resources, keeps them in localStorage and registers them next to the built-in ones
+ */
+
+class ScenarioBuilder {
+    constructor(scenarioRegistry, serverOrigins, options = {}) {
+        this.scenarioRegistry = scenarioRegistry;
+        // Resources may be given as URLs on the dashboard or either test server; only their path is kept
+        this.allowedOrigins = [location.origin].concat(Object.values(serverOrigins));
+        this.onChange = options.onChange || (() => {});
+        this.storageKey = 'h2-vs-h3.customScenarios';
+        this.exportFormat = 'h2-vs-h3-custom-scenarios';
+        this.version = 1;
+        this.page = 'test-custom.html';
+        this.maxCount = 500;
+        this.loadOrders = ['parallel', 'sequential'];
+        this.priorities = ['auto', 'high', 'low'];
+        this.editingId = null;
+
+        this.init();
+    }
+
+    /**
+     * Register the stored scenarios and set up the builder form
+     */
+    init() {
+        this.loadStored().forEach(definition => {
+            try {
+                this.register(definition);
+            } catch (error) {
+                console.warn(`Skipping stored custom scenario ${definition && definition.id}: ${error.message}`);
+            }
+        });
+
+        this.attachEventListeners();
+        this.resetForm();
+        this.renderSaved();
+    }
+
+    /**
+     * Attach event listeners to the builder controls
+     */
+    attachEventListeners() {
+        const bind = (id, event, handler) => {
+            const element = document.getElementById(id);
+            if (element) element.addEventListener(event, handler);
+        };
+
+        bind('builderAddItem', 'click', () => this.addItemRow());
+        bind('builderSave', 'click', () => this.save());
+        bind('builderReset', 'click', () => this.resetForm());
+        bind('builderExport', 'click', () => this.exportScenarios());
+
+        const importInput = document.getElementById('builderImportFile');
+        bind('builderImport', 'click', () => importInput && importInput.click());
+        bind('builderImportFile', 'change', (e) => {
+            this.importScenarios(e.target.files[0]);
+            e.target.value = '';
+        });
+
+        const items = document.getElementById('builderItems');
+        if (items) {
+            items.addEventListener('click', (e) => {
+                if (e.target.classList.contains('builder-remove')) {
+                    e.target.closest('tr').remove();
+                }
+            });
+            items.addEventListener('change', (e) => {
+                if (e.target.classList.contains('builder-resource')) {
+                    e.target.closest('tr').querySelector('.builder-url').style.display = e.target.value === '' ? '' : 'none';
+                }
+            });
+        }
+
+        const saved = document.getElementById('builderSaved');
+        if (saved) {
+            saved.addEventListener('click', (e) => {
+                const id = e.target.dataset.id;
+                if (e.target.classList.contains('builder-edit')) this.edit(id);
+                if (e.target.classList.contains('builder-delete')) this.remove(id);
+            });
+        }
+    }
+
+    /**
+     * Read the stored custom scenario definitions
+     */
+    loadStored() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(this.storageKey) || '[]');
+            return Array.isArray(stored) ? stored : [];
+        } catch (error) {
+            console.warn('Could not read stored custom scenarios:', error.message);
+            return [];
+        }
+    }
+
+    /**
+     * Write the custom scenario definitions to localStorage
+     */
+    store(definitions) {
+        localStorage.setItem(this.storageKey, JSON.stringify(definitions));
+    }
+
+    /**
+     * Validate a custom scenario definition, returning an error string or null
+     */
+    validate(definition) {
+        if (!definition || typeof definition !== 'object') return 'not an object';
+        if (typeof definition.id !== 'string' || !/^custom-[a-z0-9-]+$/.test(definition.id)) return 'id must look like custom-<name>';
+        if (typeof definition.name !== 'string' || !definition.name.trim()) return 'name is required';
+        if (/[\u0000-\u001f<>]/.test(definition.name)) return 'name must not contain markup or control characters';
+        if (!this.loadOrders.includes(definition.loadOrder)) return `load order must be one of ${this.loadOrders.join(', ')}`;
+        if (!Array.isArray(definition.items) || definition.items.length === 0) return 'at least one resource is required';
+
+        for (let i = 0; i < definition.items.length; i++) {
+            const item = definition.items[i];
+            const label = `resource ${i + 1}`;
+            if (!item || typeof item.path !== 'string' || !item.path) return `${label} has no path`;
+            if (/^[a-z]+:|^\/\//i.test(item.path)) return `${label} must be a same-origin path`;
+            // Paths from the form are URL-encoded, so quotes, brackets and spaces only come from hand-edited files
+            if (/[\s<>"'`\\]/.test(item.path)) return `${label} path has characters a URL path would encode`;
+            if (!Number.isInteger(item.count) || item.count < 1 || item.count > this.maxCount) return `${label} count must be between 1 and ${this.maxCount}`;
+            if (!this.priorities.includes(item.priority)) return `${label} priority must be one of ${this.priorities.join(', ')}`;
+        }
+
+        const existing = this.scenarioRegistry.scenarios[definition.id];
+        if (existing && !existing.custom) return `${definition.id} is a built-in scenario`;
+
+        return null;
+    }
+
+    /**
+     * Turn a definition into a scenario registry entry served by the custom test page
+     */
+    toScenario(definition) {
+        const items = definition.items.map(item => ({
+            path: item.path,
+            type: item.type || this.inferType(item.path),
+            count: item.count,
+            priority: item.priority
+        }));
+        const spec = { name: definition.name, loadOrder: definition.loadOrder, items };
+
+        return {
+            name: definition.name,
+            description: `${this.summarize(items)} - ${definition.loadOrder}`,
+            page: `${this.page}?spec=${encodeURIComponent(JSON.stringify(spec))}`,
+            tags: ['custom', definition.loadOrder],
+            // The page loads its resources from script, after its own load event
+            completion: 'message',
+            custom: true,
+            resources: items.map(item => {
+                const known = this.scenarioRegistry.library.find(resource => resource.path === item.path);
+                const resource = { path: item.path, type: item.type, count: item.count };
+                if (known && typeof known.size === 'number') resource.size = known.size;
+                return resource;
+            })
+        };
+    }
+
+    /**
+     * Short composition summary, e.g. "80 × test-data.json, 3 × large.js"
+     */
+    summarize(items) {
+        return items.map(item => `${item.count} × ${item.path.split('/').pop()}${item.priority !== 'auto' ? ` (${item.priority})` : ''}`).join(', ');
+    }
+
+    /**
+     * Resource type from a path, for resources outside the library
+     */
+    inferType(path) {
+        const known = this.scenarioRegistry.library.find(resource => resource.path === path);
+        if (known && known.type) return known.type;
+
+        const extension = path.split('?')[0].split('.').pop().toLowerCase();
+        const typeMap = {
+            css: 'stylesheet',
+            js: 'script',
+            jpg: 'image',
+            jpeg: 'image',
+            png: 'image',
+            gif: 'image',
+            svg: 'image',
+            webp: 'image',
+            json: 'xhr'
+        };
+        return typeMap[extension] || 'other';
+    }
+
+    /**
+     * Reduce a URL to a path on the test servers, or throw if it points elsewhere
+     */
+    normalizePath(value) {
+        const url = new URL(value, `${location.origin}/`);
+        if (!this.allowedOrigins.includes(url.origin)) {
+            throw new Error(`${value} is not on the dashboard or test servers`);
+        }
+        return `${url.pathname}${url.search}`.replace(/^\/+/, '');
+    }
+
+    /**
+     * Register a definition, replacing an earlier version
+     */
+    register(definition) {
+        const error = this.validate(definition);
+        if (error) {
+            throw new Error(error);
+        }
+        return this.scenarioRegistry.register(definition.id, this.toScenario(definition));
+    }
+
+    /**
+     * Create an unused scenario ID from a name
+     */
+    createId(name) {
+        const slug = name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'scenario';
+        const base = `custom-${slug}`;
+
+        // Names such as "My Test" and "my-test" share a slug; number the new one instead of replacing the other
+        let id = base;
+        for (let n = 2; this.scenarioRegistry.scenarios[id]; n++) {
+            id = `${base}-${n}`;
+        }
+        return id;
+    }
+
+    /**
+     * Read the builder form into a definition
+     */
+    readForm() {
+        const nameInput = document.getElementById('builderName');
+        const loadOrderSelect = document.getElementById('builderLoadOrder');
+        const name = nameInput ? nameInput.value.trim() : '';
+
+        const items = Array.from(document.querySelectorAll('#builderItems tr')).map(row => {
+            const selected = row.querySelector('.builder-resource').value;
+            const path = selected || row.querySelector('.builder-url').value.trim();
+            return {
+                path: path ? this.normalizePath(path) : '',
+                count: parseInt(row.querySelector('.builder-count').value, 10),
+                priority: row.querySelector('.builder-priority').value
+            };
+        });
+
+        return {
+            id: this.editingId || this.createId(name),
+            name,
+            loadOrder: loadOrderSelect ? loadOrderSelect.value : 'parallel',
+            items
+        };
+    }
+
+    /**
+     * Save the scenario in the form and register it
+     */
+    save() {
+        let definition;
+        try {
+            definition = this.readForm();
+            this.register(definition);
+        } catch (error) {
+            this.showStatus(`Cannot save scenario: ${error.message}`, 'error');
+            return;
+        }
+
+        const stored = this.loadStored().filter(existing => existing.id !== definition.id);
+        stored.push(definition);
+        this.store(stored);
+
+        this.editingId = definition.id;
+        this.renderSaved();
+        this.onChange(definition.id);
+        this.showStatus(`Saved ${definition.name} as ${definition.id}`, 'success');
+    }
+
+    /**
+     * Load a saved scenario into the form
+     */
+    edit(id) {
+        const definition = this.loadStored().find(existing => existing.id === id);
+        if (!definition) return;
+
+        this.resetForm();
+        this.editingId = id;
+        document.getElementById('builderName').value = definition.name;
+        document.getElementById('builderLoadOrder').value = definition.loadOrder;
+        document.getElementById('builderItems').innerHTML = '';
+        definition.items.forEach(item => this.addItemRow(item));
+        this.showStatus(`Editing ${definition.name} - saving replaces it`, 'info');
+    }
+
+    /**
+     * Delete a saved scenario
+     */
+    remove(id) {
+        this.store(this.loadStored().filter(existing => existing.id !== id));
+        this.scenarioRegistry.unregister(id);
+
+        if (this.editingId === id) {
+            this.resetForm();
+        }
+        this.renderSaved();
+        this.onChange(id);
+        this.showStatus(`Deleted ${id}`, 'info');
+    }
+
+    /**
+     * Clear the form for a new scenario
+     */
+    resetForm() {
+        this.editingId = null;
+
+        const nameInput = document.getElementById('builderName');
+        const loadOrderSelect = document.getElementById('builderLoadOrder');
+        const items = document.getElementById('builderItems');
+        if (nameInput) nameInput.value = '';
+        if (loadOrderSelect) loadOrderSelect.value = 'parallel';
+        if (items) {
+            items.innerHTML = '';
+            this.addItemRow();
+        }
+        this.showStatus('', 'info');
+    }
+
+    /**
+     * Add a resource row to the form
+     */
+    addItemRow(item = null) {
+        const items = document.getElementById('builderItems');
+        if (!items) return;
+
+        const inLibrary = item && this.scenarioRegistry.library.some(resource => resource.path === item.path);
+        const options = this.scenarioRegistry.library
+            .map(resource => `<option value="${resource.path}"${inLibrary && resource.path === item.path ? ' selected' : ''}>${resource.path}${resource.size ? ` (${(resource.size / 1024).toFixed(1)}KB)` : ''}</option>`)
+            .join('');
+        const priorities = this.priorities
+            .map(priority => `<option value="${priority}"${item && item.priority === priority ? ' selected' : ''}>${priority}</option>`)
+            .join('');
+        const custom = item && !inLibrary;
+
+        const row = document.createElement('tr');
+        row.innerHTML = `
+            <td>
+                <select class="builder-resource">
+                    ${options}
+                    <option value=""${custom ? ' selected' : ''}>Other same-origin URL...</option>
+                </select>
+                <input type="text" class="builder-url" placeholder="/path/or/https://localhost:8443/url" value="${custom ? escapeHtml(item.path) : ''}" style="${custom ? '' : 'display: none;'}">
+            </td>
+            <td><input type="number" class="builder-count" value="${item ? item.count : 1}" min="1" max="${this.maxCount}"></td>
+            <td><select class="builder-priority">${priorities}</select></td>
+            <td><button type="button" class="btn btn-secondary builder-remove" title="Remove resource">×</button></td>
+        `;
+        items.appendChild(row);
+    }
+
+    /**
+     * List the saved custom scenarios
+     */
+    renderSaved() {
+        const container = document.getElementById('builderSaved');
+        if (!container) return;
+
+        const stored = this.loadStored();
+        if (stored.length === 0) {
+            container.innerHTML = '<small>No custom scenarios saved yet.</small>';
+            return;
+        }
+
+        container.innerHTML = `
+            <h5>Saved custom scenarios:</h5>
+            <ul>
+                ${stored.map(definition => `
+                    <li>
+                        <strong>${escapeHtml(definition.name)}</strong> <small>(${escapeHtml(definition.id)}) ${escapeHtml(this.summarize(definition.items))} - ${escapeHtml(definition.loadOrder)}</small>
+                        <button type="button" class="btn btn-outline builder-edit" data-id="${escapeHtml(definition.id)}">Edit</button>
+                        <button type="button" class="btn btn-outline builder-delete" data-id="${escapeHtml(definition.id)}">Delete</button>
+                    </li>
+                `).join('')}
+            </ul>
+        `;
+    }
+
+    /**
+     * Show a status line under the builder
+     */
+    showStatus(message, type) {
+        const status = document.getElementById('builderStatus');
+        if (!status) return;
+
+        status.textContent = message;
+        status.className = `builder-status ${type}`;
+    }
+
+    /**
+     * Download the saved custom scenarios as JSON
+     */
+    exportScenarios() {
+        const data = {
+            format: this.exportFormat,
+            version: this.version,
+            exportedAt: new Date().toISOString(),
+            scenarios: this.loadStored()
+        };
+
+        const dataStr = JSON.stringify(data, null, 2);
+        const dataBlob = new Blob([dataStr], { type: 'application/json' });
+        const url = URL.createObjectURL(dataBlob);
+
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `custom-scenarios-${new Date().toISOString().slice(0, 19).replace(/:/g, '-')}.json`;
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        URL.revokeObjectURL(url);
+
+        console.log('Custom scenarios exported');
+        return data;
+    }
+
+    /**
+     * Import custom scenarios from a JSON file; the file is rejected as a whole if any scenario is invalid
+     */
+    importScenarios(file) {
+        if (!file) return Promise.resolve([]);
+
+        return new Promise((resolve) => {
+            const reader = new FileReader();
+            reader.onload = (e) => {
+                try {
+                    const data = JSON.parse(e.target.result);
+                    if (!data || data.format !== this.exportFormat || !Array.isArray(data.scenarios)) {
+                        throw new Error('not a custom scenario export');
+                    }
+                    if (data.version !== this.version) {
+                        throw new Error(`unsupported version ${data.version}`);
+                    }
+
+                    data.scenarios.forEach((definition, index) => {
+                        const error = this.validate(definition);
+                        if (error) throw new Error(`scenario ${index + 1}: ${error}`);
+                    });
+
+                    const imported = data.scenarios.map(definition => definition.id);
+                    const stored = this.loadStored().filter(existing => !imported.includes(existing.id));
+                    data.scenarios.forEach(definition => this.register(definition));
+                    this.store(stored.concat(data.scenarios));
+
+                    this.renderSaved();
+                    imported.forEach(id => this.onChange(id));
+                    this.showStatus(`Imported ${imported.length} custom scenario(s)`, 'success');
+                    resolve(data.scenarios);
+                } catch (error) {
+                    this.showStatus(`Import failed: ${error.message}`, 'error');
+                    resolve([]);
+                }
+            };
+            reader.onerror = () => {
+                this.showStatus('Import failed: could not read file', 'error');
+                resolve([]);
+            };
+            reader.readAsText(file);
+        });
+    }
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ScenarioBuilder;
+}
\ No newline at end of file
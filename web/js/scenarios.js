@@ -0,0 +1,173 @@
+/**
+ * Scenario Registry Module
+ * Loads the test scenarios from the scenario manifest and answers questions about them
+ */
+
+class ScenarioRegistry {
+    constructor(manifestUrl = 'scenarios.json') {
+        this.manifestUrl = manifestUrl;
+        this.version = 1;
+        // Keyed by scenario ID; filled in place so references handed out before loading stay current
+        this.scenarios = {};
+        // Resources the scenario builder offers, from the manifest's library
+        this.library = [];
+        this.loaded = false;
+    }
+
+    /**
+     * Load the scenario manifest and register every scenario in it
+     */
+    async load() {
+        const response = await fetch(this.manifestUrl, { cache: 'no-store' });
+        if (!response.ok) {
+            throw new Error(`Could not load scenario manifest ${this.manifestUrl} (HTTP ${response.status})`);
+        }
+
+        const manifest = await response.json();
+        if (manifest.version !== this.version) {
+            throw new Error(`Unsupported scenario manifest version ${manifest.version}`);
+        }
+        if (!manifest.scenarios || typeof manifest.scenarios !== 'object') {
+            throw new Error('Scenario manifest has no scenarios');
+        }
+
+        Object.entries(manifest.scenarios).forEach(([id, definition]) => this.register(id, definition));
+        this.library = Array.isArray(manifest.library) ? manifest.library.filter(resource => resource && typeof resource.path === 'string') : [];
+        this.loaded = true;
+
+        console.log(`Loaded ${Object.keys(this.scenarios).length} test scenarios from ${this.manifestUrl}`);
+        return this.scenarios;
+    }
+
+    /**
+     * Validate a scenario definition, returning an error string or null
+     */
+    validate(id, definition) {
+        if (!definition || typeof definition !== 'object') return `scenario ${id} is not an object`;
+        if (typeof definition.name !== 'string' || !definition.name) return `scenario ${id} has no name`;
+        if (typeof definition.page !== 'string' || !definition.page) return `scenario ${id} has no page`;
+        if (definition.tags !== undefined && !Array.isArray(definition.tags)) return `scenario ${id} tags must be a list`;
+        if (definition.resources !== undefined && !Array.isArray(definition.resources)) return `scenario ${id} resources must be a list`;
+        if (definition.completion !== undefined && !['load', 'message'].includes(definition.completion)) return `scenario ${id} completion must be "load" or "message"`;
+
+        const invalid = (definition.resources || []).find(resource =>
+            !resource || typeof resource.path !== 'string' ||
+            (resource.size !== undefined && typeof resource.size !== 'number') ||
+            (resource.count !== undefined && (!Number.isInteger(resource.count) || resource.count < 1))
+        );
+        if (invalid) return `scenario ${id} has a resource without a path or with a non-numeric size or count`;
+
+        return null;
+    }
+
+    /**
+     * Add or replace a scenario
+     */
+    register(id, definition) {
+        const error = this.validate(id, definition);
+        if (error) {
+            throw new Error(`Invalid scenario manifest: ${error}`);
+        }
+
+        this.scenarios[id] = {
+            id,
+            name: definition.name,
+            description: definition.description || '',
+            testUrl: definition.page,
+            tags: definition.tags || [],
+            // 'load' measures up to the page's load event, 'message' up to its complete message
+            completion: definition.completion || 'load',
+            custom: definition.custom === true,
+            resources: (definition.resources || []).map(resource => ({
+                path: resource.path,
+                type: resource.type || 'other',
+                size: typeof resource.size === 'number' ? resource.size : null,
+                count: resource.count || 1
+            }))
+        };
+
+        return this.scenarios[id];
+    }
+
+    /**
+     * Remove a scenario
+     */
+    unregister(id) {
+        delete this.scenarios[id];
+    }
+
+    /**
+     * Get a scenario by ID
+     */
+    get(id) {
+        const scenario = this.scenarios[id];
+        if (!scenario) {
+            throw new Error(`Unknown test scenario: ${id}`);
+        }
+        return scenario;
+    }
+
+    /**
+     * Check whether a scenario is registered
+     */
+    has(id) {
+        return Object.prototype.hasOwnProperty.call(this.scenarios, id);
+    }
+
+    /**
+     * Number of resources a scenario is expected to load, counting the page itself
+     */
+    getExpectedResourceCount(id) {
+        if (!this.has(id)) return 0;
+        return this.scenarios[id].resources.reduce((total, resource) => total + resource.count, 1);
+    }
+
+    /**
+     * Declared size of a scenario's resources in bytes (resources without a size are skipped)
+     */
+    getDeclaredSize(id) {
+        if (!this.has(id)) return 0;
+        return this.scenarios[id].resources.reduce((total, resource) => total + (resource.size || 0) * resource.count, 0);
+    }
+
+    /**
+     * Fill a select element with the registered scenarios, keeping its selection if still available
+     */
+    populateSelect(select) {
+        const selected = select.value;
+        const renderOptions = (scenarios) => scenarios
+            .map(scenario => `<option value="${escapeHtml(scenario.id)}">${escapeHtml(scenario.name)}</option>`)
+            .join('');
+        const builtIn = Object.values(this.scenarios).filter(scenario => !scenario.custom);
+        const custom = Object.values(this.scenarios).filter(scenario => scenario.custom);
+
+        select.innerHTML = renderOptions(builtIn) +
+            (custom.length > 0 ? `<optgroup label="Custom scenarios">${renderOptions(custom)}</optgroup>` : '');
+
+        if (this.has(selected)) {
+            select.value = selected;
+        }
+    }
+
+    /**
+     * Describe a scenario for the scenario description line
+     */
+    describe(id) {
+        if (!this.has(id)) return '';
+
+        const scenario = this.scenarios[id];
+        const size = this.getDeclaredSize(id);
+        const tags = scenario.tags.map(tag => `<span class="scenario-tag">${escapeHtml(tag)}</span>`).join('');
+
+        return `
+            <strong>${escapeHtml(scenario.name)}</strong> - ${escapeHtml(scenario.description)}
+            <small>(${escapeHtml(scenario.testUrl.split('?')[0])}, ${this.getExpectedResourceCount(id)} resources${size > 0 ? `, ${(size / 1024).toFixed(1)}KB declared` : ''})</small>
+            ${tags}
+        `;
+    }
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ScenarioRegistry;
+}
\ No newline at end of file
@@ -0,0 +1,343 @@
+/**
+ * Performance Statistics Module
+ * Bootstrap confidence intervals and significance testing for HTTP/2 vs HTTP/3 results
+ */
+
+class PerformanceStatistics {
+    constructor(options = {}) {
+        this.confidenceLevel = options.confidenceLevel || 0.95;
+        this.significanceLevel = options.significanceLevel || 0.05;
+        this.bootstrapIterations = options.bootstrapIterations || 2000;
+        this.minimumSampleSize = options.minimumSampleSize || 5;
+        this.seed = options.seed || 20240101;
+        this.percentileLevels = options.percentileLevels || [50, 75, 90, 95, 99];
+        this.metrics = this.initializeMetrics();
+    }
+
+    /**
+     * Initialize metric definitions used for comparisons and distributions
+     */
+    initializeMetrics() {
+        return {
+            loadTime: { label: 'Load Time', unit: 'ms', lowerIsBetter: true, significance: true },
+            connectionTime: { label: 'Connection Time', unit: 'ms', lowerIsBetter: true, significance: true },
+            firstByteTime: { label: 'First Byte', unit: 'ms', lowerIsBetter: true, significance: true },
+            domContentLoaded: { label: 'DOM Content Loaded', unit: 'ms', lowerIsBetter: true, significance: true },
+            totalSize: { label: 'Total Size', unit: 'bytes', lowerIsBetter: true },
+            // Per-resource metrics pool one value per resource entry instead of one per run
+            resourceDuration: { label: 'Resource Duration', unit: 'ms', lowerIsBetter: true, resourceField: 'duration' }
+        };
+    }
+
+    /**
+     * Get the metrics that take part in significance testing
+     */
+    getSignificanceMetrics() {
+        return Object.keys(this.metrics).filter(metric => this.metrics[metric].significance);
+    }
+
+    /**
+     * Create a seeded pseudo-random generator (mulberry32) so results are reproducible
+     */
+    static createRandom(seed) {
+        let state = seed >>> 0;
+        return () => {
+            state = (state + 0x6D2B79F5) >>> 0;
+            let t = state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+
+    /**
+     * Extract finite values of a metric from a list of measurements
+     */
+    extractValues(measurements, metric) {
+        const definition = this.metrics[metric];
+        const values = definition && definition.resourceField
+            ? measurements.reduce((all, m) => all.concat((m.resources || []).map(r => r[definition.resourceField])), [])
+            : measurements.map(m => m[metric]);
+
+        return values.filter(value => typeof value === 'number' && isFinite(value));
+    }
+
+    /**
+     * Arithmetic mean
+     */
+    mean(values) {
+        if (values.length === 0) return 0;
+        return values.reduce((a, b) => a + b, 0) / values.length;
+    }
+
+    /**
+     * Median of a sample
+     */
+    median(values) {
+        return this.quantile(values.slice().sort((a, b) => a - b), 0.5);
+    }
+
+    /**
+     * Quantile of an already sorted sample using linear interpolation
+     */
+    quantile(sortedValues, q) {
+        if (sortedValues.length === 0) return 0;
+
+        const position = (sortedValues.length - 1) * q;
+        const lower = Math.floor(position);
+        const upper = Math.ceil(position);
+        const weight = position - lower;
+
+        return sortedValues[lower] + (sortedValues[upper] - sortedValues[lower]) * weight;
+    }
+
+    /**
+     * Summarize a sample with its percentile distribution
+     */
+    describeDistribution(values) {
+        const sorted = values.slice().sort((a, b) => a - b);
+        const distribution = {
+            count: sorted.length,
+            min: sorted.length > 0 ? sorted[0] : 0,
+            max: sorted.length > 0 ? sorted[sorted.length - 1] : 0,
+            mean: this.mean(sorted)
+        };
+
+        this.percentileLevels.forEach(level => {
+            distribution[`p${level}`] = this.quantile(sorted, level / 100);
+        });
+
+        return distribution;
+    }
+
+    /**
+     * Percentile distributions of every metric for a list of measurements
+     */
+    describeMeasurements(measurements, metrics = Object.keys(this.metrics)) {
+        const distributions = {};
+
+        metrics.forEach(metric => {
+            distributions[metric] = this.describeDistribution(this.extractValues(measurements, metric));
+        });
+
+        return distributions;
+    }
+
+    /**
+     * Resolve a statistic name or function to a function of a sample
+     */
+    resolveStatistic(statistic) {
+        if (typeof statistic === 'function') return statistic;
+        return statistic === 'mean' ? (values) => this.mean(values) : (values) => this.median(values);
+    }
+
+    /**
+     * Draw a bootstrap resample of the given values
+     */
+    resample(values, random) {
+        const sample = new Array(values.length);
+        for (let i = 0; i < values.length; i++) {
+            sample[i] = values[Math.floor(random() * values.length)];
+        }
+        return sample;
+    }
+
+    /**
+     * Percentile bootstrap confidence interval for a statistic of one sample
+     */
+    bootstrapConfidenceInterval(values, statistic = 'median') {
+        const statisticFn = this.resolveStatistic(statistic);
+        const estimate = statisticFn(values);
+
+        if (values.length < 2) {
+            return { estimate, lower: estimate, upper: estimate, level: this.confidenceLevel };
+        }
+
+        const random = PerformanceStatistics.createRandom(this.seed);
+        const estimates = [];
+        for (let i = 0; i < this.bootstrapIterations; i++) {
+            estimates.push(statisticFn(this.resample(values, random)));
+        }
+
+        return this.intervalFromEstimates(estimate, estimates);
+    }
+
+    /**
+     * Percentile bootstrap confidence interval for the difference (sampleB - sampleA)
+     */
+    bootstrapDifferenceInterval(sampleA, sampleB, statistic = 'median') {
+        const statisticFn = this.resolveStatistic(statistic);
+        const estimate = statisticFn(sampleB) - statisticFn(sampleA);
+
+        const random = PerformanceStatistics.createRandom(this.seed);
+        const estimates = [];
+        for (let i = 0; i < this.bootstrapIterations; i++) {
+            estimates.push(statisticFn(this.resample(sampleB, random)) - statisticFn(this.resample(sampleA, random)));
+        }
+
+        return this.intervalFromEstimates(estimate, estimates);
+    }
+
+    /**
+     * Build an interval from bootstrap estimates
+     */
+    intervalFromEstimates(estimate, estimates) {
+        const alpha = 1 - this.confidenceLevel;
+        const sorted = estimates.sort((a, b) => a - b);
+
+        return {
+            estimate,
+            lower: this.quantile(sorted, alpha / 2),
+            upper: this.quantile(sorted, 1 - alpha / 2),
+            level: this.confidenceLevel
+        };
+    }
+
+    /**
+     * Mann-Whitney U test (two-sided, normal approximation with tie and continuity correction)
+     */
+    mannWhitneyU(sampleA, sampleB) {
+        const n1 = sampleA.length;
+        const n2 = sampleB.length;
+        const total = n1 + n2;
+
+        const combined = sampleA.map(value => ({ value, group: 0 }))
+            .concat(sampleB.map(value => ({ value, group: 1 })))
+            .sort((a, b) => a.value - b.value);
+
+        // Assign average ranks to ties
+        let rankSumA = 0;
+        let tieCorrection = 0;
+        let i = 0;
+        while (i < total) {
+            let j = i;
+            while (j + 1 < total && combined[j + 1].value === combined[i].value) {
+                j++;
+            }
+            const averageRank = (i + j) / 2 + 1;
+            for (let k = i; k <= j; k++) {
+                if (combined[k].group === 0) rankSumA += averageRank;
+            }
+            const tieSize = j - i + 1;
+            tieCorrection += Math.pow(tieSize, 3) - tieSize;
+            i = j + 1;
+        }
+
+        const uA = rankSumA - (n1 * (n1 + 1)) / 2;
+        const uB = n1 * n2 - uA;
+        const meanU = (n1 * n2) / 2;
+        const varianceU = ((n1 * n2) / 12) * ((total + 1) - tieCorrection / (total * (total - 1)));
+
+        let z = 0;
+        let pValue = 1;
+        if (varianceU > 0) {
+            z = Math.max(0, Math.abs(uA - meanU) - 0.5) / Math.sqrt(varianceU);
+            pValue = Math.min(1, 2 * (1 - this.normalCdf(z)));
+        }
+
+        return {
+            u: Math.min(uA, uB),
+            uA,
+            uB,
+            z,
+            pValue,
+            // Probability that a random value from A exceeds a random value from B (ties count half)
+            probabilityOfSuperiority: n1 * n2 > 0 ? uA / (n1 * n2) : 0.5
+        };
+    }
+
+    /**
+     * Standard normal cumulative distribution function
+     */
+    normalCdf(z) {
+        // Abramowitz and Stegun 7.1.26 approximation of erf
+        const x = Math.abs(z) / Math.SQRT2;
+        const t = 1 / (1 + 0.3275911 * x);
+        const erf = 1 - (((((1.061405429 * t - 1.453152027) * t) + 1.421413741) * t - 0.284496736) * t + 0.254829592) * t * Math.exp(-x * x);
+
+        return z >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+    }
+
+    /**
+     * Compare one metric between HTTP/2 and HTTP/3 samples
+     */
+    compareMetric(http2Values, http3Values, metric) {
+        const definition = this.metrics[metric] || { label: metric, unit: 'ms', lowerIsBetter: true };
+        const comparison = {
+            metric,
+            label: definition.label,
+            unit: definition.unit,
+            sampleSize: { http2: http2Values.length, http3: http3Values.length },
+            http2: null,
+            http3: null,
+            difference: null,
+            pValue: null,
+            significant: false,
+            verdict: 'insufficient-data'
+        };
+
+        if (http2Values.length < this.minimumSampleSize || http3Values.length < this.minimumSampleSize) {
+            return comparison;
+        }
+
+        const test = this.mannWhitneyU(http2Values, http3Values);
+        comparison.http2 = this.bootstrapConfidenceInterval(http2Values);
+        comparison.http3 = this.bootstrapConfidenceInterval(http3Values);
+        comparison.difference = this.bootstrapDifferenceInterval(http2Values, http3Values);
+        comparison.pValue = test.pValue;
+        comparison.probabilityOfSuperiority = test.probabilityOfSuperiority;
+
+        // Require both the rank test and the bootstrap interval to agree before calling a winner
+        const intervalExcludesZero = comparison.difference.lower > 0 || comparison.difference.upper < 0;
+        comparison.significant = test.pValue < this.significanceLevel && intervalExcludesZero;
+
+        if (!comparison.significant) {
+            comparison.verdict = 'no-significant-difference';
+        } else {
+            const http3Lower = comparison.difference.estimate < 0;
+            comparison.verdict = http3Lower === definition.lowerIsBetter ? 'http3-better' : 'http2-better';
+        }
+
+        return comparison;
+    }
+
+    /**
+     * Compare every configured metric between two sets of measurements
+     */
+    compareMeasurements(http2Measurements, http3Measurements, metrics = this.getSignificanceMetrics()) {
+        const comparisons = {};
+
+        metrics.forEach(metric => {
+            comparisons[metric] = this.compareMetric(
+                this.extractValues(http2Measurements, metric),
+                this.extractValues(http3Measurements, metric),
+                metric
+            );
+        });
+
+        return comparisons;
+    }
+
+    /**
+     * Human readable verdict for a metric comparison
+     */
+    describeVerdict(comparison) {
+        const better = comparison.unit === 'ms' ? 'faster' : 'lower';
+
+        switch (comparison.verdict) {
+            case 'http3-better':
+                return `HTTP/3 significantly ${better}`;
+            case 'http2-better':
+                return `HTTP/2 significantly ${better}`;
+            case 'no-significant-difference':
+                return 'No significant difference';
+            default:
+                return `Not enough runs (need ${this.minimumSampleSize} per protocol)`;
+        }
+    }
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PerformanceStatistics;
+}
\ No newline at end of file
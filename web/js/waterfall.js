@@ -0,0 +1,213 @@
+/**
+ * Resource Waterfall Module
+ * Renders per-resource timing waterfalls for the HTTP/2 and HTTP/3 panels on a shared time axis
+ */
+
+class ResourceWaterfall {
+    constructor() {
+        this.results = {
+            http2: null,
+            http3: null
+        };
+        this.typeColors = {
+            document: '#6f42c1',
+            stylesheet: '#007bff',
+            script: '#fd7e14',
+            image: '#28a745',
+            font: '#e83e8c',
+            xhr: '#17a2b8',
+            other: '#6c757d'
+        };
+        this.phaseNames = {
+            queueing: 'Queueing',
+            connect: 'Connect',
+            ttfb: 'TTFB',
+            download: 'Download',
+            total: 'Total'
+        };
+        this.tickCount = 4;
+    }
+
+    /**
+     * Show the waterfall for a protocol and redraw both panels on the shared axis
+     */
+    render(protocol, result) {
+        this.results[protocol] = result;
+
+        Object.keys(this.results).forEach(key => {
+            if (this.results[key]) {
+                this.renderPanel(key, this.results[key]);
+            }
+        });
+    }
+
+    /**
+     * Split a resource timing entry into its phases
+     */
+    getPhases(resource) {
+        const { startTime, connectStart, connectEnd, requestStart, responseStart, responseEnd } = resource;
+
+        // Cross-origin entries without Timing-Allow-Origin only expose start and end
+        if (!requestStart || !responseStart) {
+            return [{ name: 'total', start: startTime, end: responseEnd }];
+        }
+
+        const hasConnect = connectEnd > connectStart;
+        const phases = [
+            { name: 'queueing', start: startTime, end: hasConnect ? connectStart : requestStart }
+        ];
+
+        if (hasConnect) {
+            phases.push({ name: 'connect', start: connectStart, end: connectEnd });
+        }
+
+        phases.push(
+            { name: 'ttfb', start: requestStart, end: responseStart },
+            { name: 'download', start: responseStart, end: responseEnd }
+        );
+
+        return phases.filter(phase => phase.end > phase.start);
+    }
+
+    /**
+     * End of the shared time axis across both protocols
+     */
+    getAxisEnd() {
+        const ends = Object.values(this.results)
+            .filter(result => result && result.resources)
+            .reduce((all, result) => all.concat(result.resources.map(resource => resource.responseEnd || 0)), []);
+
+        return Math.max(1, ...ends);
+    }
+
+    /**
+     * Render the waterfall of one protocol panel
+     */
+    renderPanel(protocol, result) {
+        const container = document.getElementById(`${protocol}Waterfall`);
+        if (!container) return;
+
+        const resources = (result.resources || []).slice().sort((a, b) => a.startTime - b.startTime);
+
+        if (resources.length === 0) {
+            container.innerHTML = `
+                <div class="waterfall-empty">No resource timings available (cross-origin page timeline is hidden)</div>
+            `;
+            return;
+        }
+
+        const axisEnd = this.getAxisEnd();
+        const rows = resources.map((resource, index) => this.renderRow(resource, index, axisEnd)).join('');
+
+        container.innerHTML = `
+            <div class="waterfall-chart">
+                <h4>Resource Waterfall:</h4>
+                ${this.renderAxis(axisEnd)}
+                <div class="waterfall-rows">${rows}</div>
+                ${this.renderLegend()}
+                <div class="waterfall-details">Hover a resource for details</div>
+            </div>
+        `;
+
+        this.attachHoverHandlers(container, resources);
+    }
+
+    /**
+     * Render a single resource row
+     */
+    renderRow(resource, index, axisEnd) {
+        const name = resource.name.split('/').pop() || 'Unknown';
+        const color = this.typeColors[resource.type] || this.typeColors.other;
+        const segments = this.getPhases(resource).map(phase => `
+            <span class="waterfall-phase phase-${phase.name}"
+                  style="left: ${(phase.start / axisEnd * 100).toFixed(2)}%; width: ${Math.max(0.5, (phase.end - phase.start) / axisEnd * 100).toFixed(2)}%; background: ${color};"></span>
+        `).join('');
+
+        return `
+            <div class="waterfall-row" data-index="${index}">
+                <span class="waterfall-name" title="${escapeHtml(resource.name)}">${escapeHtml(name)}</span>
+                <span class="waterfall-track">${segments}</span>
+            </div>
+        `;
+    }
+
+    /**
+     * Render the time axis ticks
+     */
+    renderAxis(axisEnd) {
+        const ticks = [];
+        for (let i = 0; i <= this.tickCount; i++) {
+            const value = axisEnd * i / this.tickCount;
+            ticks.push(`<span class="waterfall-tick" style="left: ${(i / this.tickCount * 100).toFixed(2)}%;">${value.toFixed(0)}ms</span>`);
+        }
+
+        return `
+            <div class="waterfall-axis">
+                <span class="waterfall-name"></span>
+                <span class="waterfall-track">${ticks.join('')}</span>
+            </div>
+        `;
+    }
+
+    /**
+     * Render the resource type and phase legend
+     */
+    renderLegend() {
+        const types = Object.entries(this.typeColors)
+            .map(([type, color]) => `<span class="legend-item"><span class="legend-swatch" style="background: ${color};"></span>${type}</span>`)
+            .join('');
+        const phases = ['queueing', 'connect', 'ttfb', 'download']
+            .map(phase => `<span class="legend-item"><span class="legend-swatch phase-${phase}"></span>${this.phaseNames[phase]}</span>`)
+            .join('');
+
+        return `<div class="waterfall-legend">${types}</div><div class="waterfall-legend">${phases}</div>`;
+    }
+
+    /**
+     * Show resource details when hovering a row
+     */
+    attachHoverHandlers(container, resources) {
+        const details = container.querySelector('.waterfall-details');
+
+        container.querySelectorAll('.waterfall-row').forEach(row => {
+            row.addEventListener('mouseenter', () => {
+                details.innerHTML = this.describeResource(resources[row.dataset.index]);
+            });
+            row.addEventListener('mouseleave', () => {
+                details.textContent = 'Hover a resource for details';
+            });
+        });
+    }
+
+    /**
+     * Describe the phases of a resource for the hover details
+     */
+    describeResource(resource) {
+        const name = resource.name.split('/').pop() || 'Unknown';
+        const phases = this.getPhases(resource)
+            .map(phase => `${this.phaseNames[phase.name]} ${(phase.end - phase.start).toFixed(1)}ms`)
+            .join(' · ');
+        const size = resource.size ? `${(resource.size / 1024).toFixed(1)}KB` : 'size unknown';
+        const protocol = resource.nextHopProtocol || 'unknown';
+
+        return `<strong>${escapeHtml(name)}</strong> (${escapeHtml(resource.type)}, ${size}, ${escapeHtml(protocol)}) - starts at ${resource.startTime.toFixed(0)}ms: ${phases}`;
+    }
+
+    /**
+     * Clear both waterfalls
+     */
+    reset() {
+        Object.keys(this.results).forEach(protocol => {
+            this.results[protocol] = null;
+            const container = document.getElementById(`${protocol}Waterfall`);
+            if (container) {
+                container.innerHTML = '';
+            }
+        });
+    }
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ResourceWaterfall;
+}
\ No newline at end of file
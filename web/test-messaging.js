@@ -0,0 +1,150 @@
+/**
+ * Test Page Messaging
+ * Sends versioned messages from a test page to the dashboard that embeds it
+ *
+ * Every message has the shape { protocol, version, type, runId, timestamp, payload }:
+ *   hello    { page }                          - the page script has started
+ *   progress { loaded, total }                 - resources finished so far
+ *   resource { name, type?, loadTime?, size? } - one resource finished
+ *   complete { loadTime, resourceCount?, details? } - the page is done
+ *   error    { message }                       - the page hit an error
+ *   vitals   { fcp, lcp, cls, inp, ttfb }      - Core Web Vitals so far (null until observed)
+ */
+
+const TestPageMessenger = (function() {
+    const PROTOCOL = 'h2-vs-h3';
+    const VERSION = 1;
+
+    const params = new URLSearchParams(location.search);
+    // The dashboard passes a run ID so it can ignore messages from earlier runs; pages loaded
+    // without one (opened directly or as an unmeasured priming load) stay silent
+    const runId = params.get('runId');
+    const embedded = window.parent !== window && runId !== null;
+
+    // Only the embedding dashboard should receive results; the referrer carries its origin
+    let targetOrigin = '*';
+    try {
+        if (document.referrer) {
+            targetOrigin = new URL(document.referrer).origin;
+        }
+    } catch (error) {
+        targetOrigin = '*';
+    }
+
+    function send(type, payload) {
+        if (!embedded) return;
+
+        window.parent.postMessage({
+            protocol: PROTOCOL,
+            version: VERSION,
+            type,
+            runId,
+            timestamp: Date.now(),
+            payload
+        }, targetOrigin);
+    }
+
+    window.addEventListener('error', function(event) {
+        send('error', { message: event.message || 'Unknown page error' });
+    });
+
+    // Core Web Vitals, collected with PerformanceObserver (times in ms, CLS unitless);
+    // a vital the browser cannot observe stays null
+    const vitals = { fcp: null, lcp: null, cls: null, inp: null, ttfb: null };
+    const layoutShiftSession = { value: 0, firstTime: 0, lastTime: 0 };
+    let vitalsTimer = null;
+
+    function sendVitals() {
+        clearTimeout(vitalsTimer);
+        vitalsTimer = null;
+        send('vitals', Object.assign({}, vitals));
+    }
+
+    // Several entries usually arrive together, so batch them into one message
+    function scheduleVitals() {
+        if (!vitalsTimer) {
+            vitalsTimer = setTimeout(sendVitals, 250);
+        }
+    }
+
+    function observe(type, callback, options) {
+        // Unsupported entry types are silently ignored by observe(), so check up front
+        if (typeof PerformanceObserver === 'undefined' || !(PerformanceObserver.supportedEntryTypes || []).includes(type)) {
+            return false;
+        }
+
+        try {
+            new PerformanceObserver(function(list) {
+                callback(list.getEntries());
+                scheduleVitals();
+            }).observe(Object.assign({ type, buffered: true }, options));
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    observe('navigation', function(entries) {
+        vitals.ttfb = entries[0].responseStart;
+    });
+
+    observe('paint', function(entries) {
+        entries.forEach(function(entry) {
+            if (entry.name === 'first-contentful-paint') vitals.fcp = entry.startTime;
+        });
+    });
+
+    observe('largest-contentful-paint', function(entries) {
+        vitals.lcp = entries[entries.length - 1].startTime;
+    });
+
+    const layoutShiftSupported = observe('layout-shift', function(entries) {
+        entries.forEach(function(entry) {
+            if (entry.hadRecentInput) return;
+
+            // CLS is the largest session of shifts less than 1s apart and at most 5s long
+            const session = layoutShiftSession;
+            if (session.value > 0 && (entry.startTime - session.lastTime > 1000 || entry.startTime - session.firstTime > 5000)) {
+                session.value = 0;
+            }
+            if (session.value === 0) session.firstTime = entry.startTime;
+            session.value += entry.value;
+            session.lastTime = entry.startTime;
+            vitals.cls = Math.max(vitals.cls || 0, session.value);
+        });
+    });
+    if (layoutShiftSupported && vitals.cls === null) vitals.cls = 0;
+
+    // Test pages see few interactions, so the slowest one stands in for the 98th percentile
+    observe('event', function(entries) {
+        entries.forEach(function(entry) {
+            if (entry.interactionId) vitals.inp = Math.max(vitals.inp || 0, entry.duration);
+        });
+    }, { durationThreshold: 40 });
+
+    send('hello', { page: location.pathname });
+
+    return {
+        runId,
+
+        progress(loaded, total) {
+            send('progress', { loaded, total });
+        },
+
+        resource(resource) {
+            send('resource', resource);
+        },
+
+        complete(loadTime, resourceCount, details) {
+            const payload = { loadTime };
+            if (typeof resourceCount === 'number') payload.resourceCount = resourceCount;
+            if (details) payload.details = details;
+            sendVitals();
+            send('complete', payload);
+        },
+
+        error(message) {
+            send('error', { message });
+        }
+    };
+})();
\ No newline at end of file